@@ -0,0 +1,186 @@
+// ==========================================
+// Account Data: export & erasure
+// ==========================================
+// exportData(odairy) gathers everything stored about one player.
+// erase(odairy) removes the player everywhere. Records that the books or
+// other players still depend on are kept but pseudonymized: the id becomes
+// `deleted:<hmac>` (stable per player, so payments still add up and refunds
+// still match their charge) and name fields next to it are dropped:
+//   payments, starLedger, starCharges             accounting
+//   moderationLog, adminAudit, cheatReports       moderation trail
+//   seasonResults, referrals, dailyStats          other players' results, aggregates
+// Everything else - profile, names, friends, group boards, boards, wallet,
+// sessions, game history, achievements, activity - is deleted.
+
+const crypto = require('crypto');
+
+const NAME_FIELDS = ['username', 'displayName', 'telegramUsername', 'firstName', 'lastName'];
+
+// Deep-walks plain JSON values
+function walk(value, visit) {
+    if (Array.isArray(value)) return value.some(v => walk(v, visit));
+    if (value && typeof value === 'object') return Object.entries(value).some(([k, v]) => visit(k) || walk(v, visit));
+    return visit(value);
+}
+
+// In place, so code holding the record (a running close-out or broadcast)
+// keeps writing to the stored object
+function replaceContents(target, next) {
+    if (Array.isArray(target)) target.splice(0, target.length, ...next);
+    else {
+        for (const k of Object.keys(target)) delete target[k];
+        Object.assign(target, next);
+    }
+}
+
+function createAccountData({ db, secret, rankedBoards, groupChats, addActivity }) {
+    const pseudonymFor = odairy => `deleted:${crypto.createHmac('sha256', secret).update(String(odairy)).digest('hex').slice(0, 16)}`;
+
+    // Matches the id on its own or as a segment ("42", "/users/42/ban", "42>7")
+    const idPattern = (odairy, flags) => new RegExp(`(^|[^0-9A-Za-z_])${odairy.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=[^0-9A-Za-z_]|$)`, flags);
+
+    function mentions(value, odairy) {
+        const pattern = idPattern(odairy);
+        return walk(value, v => typeof v === 'string' && pattern.test(v));
+    }
+
+    // Copy of value with the id swapped for the pseudonym and names dropped
+    // from any object that referred to the player
+    function scrub(value, odairy, pid) {
+        if (Array.isArray(value)) return value.map(v => scrub(v, odairy, pid));
+        if (value && typeof value === 'object') {
+            const owned = Object.values(value).some(v => v === odairy);
+            const out = {};
+            for (const [k, v] of Object.entries(value)) {
+                if (owned && NAME_FIELDS.includes(k)) continue;
+                out[k === odairy ? pid : k] = scrub(v, odairy, pid);
+            }
+            return out;
+        }
+        if (typeof value === 'string') return value === odairy ? pid : value.replace(idPattern(odairy, 'g'), `$1${pid}`);
+        return value;
+    }
+
+    const valuesWhere = (collection, fn) => Array.from(db[collection].values()).filter(fn);
+
+    function exportData(odairy) {
+        const readFor = (log, fn) => db.readLog(log).filter(fn);
+        return {
+            exportedAt: new Date().toISOString(),
+            odairy,
+            profile: db.users.get(odairy) || null,
+            usernames: Array.from(db.usernames).filter(([, id]) => id === odairy).map(([key]) => key),
+            usernameHistory: readFor('usernameHistory', e => e.odairy === odairy),
+            friends: db.friends.get(odairy) || [],
+            friendRequests: valuesWhere('friendRequests', r => r.from === odairy || r.to === odairy),
+            blocks: db.blocks.get(odairy) || [],
+            groupChats: groupChats.chatsOf(odairy),
+            referrals: {
+                referredBy: db.referrals.get(odairy) || null,
+                referred: valuesWhere('referrals', r => r.referrerId === odairy)
+            },
+            leaderboards: rankedBoards.boardsOf(odairy).map(board => ({
+                ...rankedBoards.get(board, odairy), rank: rankedBoards.rank(board, odairy).rank
+            })),
+            seasonResults: Array.from(db.seasonResults.values()).map(r => {
+                const standing = r.standings.find(s => s.odairy === odairy);
+                if (!standing) return null;
+                return { week: r.week, ...standing, award: r.awards.find(a => a.odairy === odairy) || null };
+            }).filter(Boolean),
+            achievements: db.achievementProgress.get(odairy) || null,
+            gameSessions: valuesWhere('gameSessions', s => s.odairy === odairy),
+            games: readFor('gameHistory', g => g.odairy === odairy),
+            rejectedScores: readFor('rejectedScores', e => e.odairy === odairy),
+            dailyActivity: valuesWhere('dailyStats', r => r.users[odairy]).map(r => ({ day: r.day, ...r.users[odairy] })),
+            activity: readFor('activityLog', e => e.data?.odairy === odairy),
+            wallet: db.wallets.get(odairy) || null,
+            starLedger: readFor('starLedger', e => e.odairy === odairy),
+            starCharges: valuesWhere('starCharges', c => c.odairy === odairy),
+            payments: readFor('payments', p => p.odairy === odairy),
+            sanctions: db.sanctions.get(odairy) || null,
+            moderationLog: readFor('moderationLog', e => e.odairy === odairy),
+            cheatFlag: db.cheatFlags.get(odairy) || null,
+            cheatReports: {
+                filed: valuesWhere('cheatReports', r => r.reporterId === odairy)
+                    .map(({ id, targetId, reason, status, createdAt }) => ({ id, targetId, reason, status, createdAt })),
+                // Who reported the player stays private
+                against: valuesWhere('cheatReports', r => r.targetId === odairy)
+                    .map(({ id, reason, status, createdAt }) => ({ id, reason, status, createdAt }))
+            }
+        };
+    }
+
+    // Returns how many records changed
+    function pseudonymizeLog(name, odairy) {
+        const pid = pseudonymFor(odairy);
+        return db.rewriteLog(name, r => (mentions(r, odairy) ? scrub(r, odairy, pid) : r));
+    }
+
+    // Returns { ok, pseudonym, removed, pseudonymized } or { error, status }.
+    // by: 'self' or 'admin:<username>'
+    function erase(odairy, { by, reason = null }) {
+        const known = db.users.has(odairy) || db.wallets.has(odairy) || rankedBoards.boardsOf(odairy).length > 0;
+        if (!known) return { error: 'Unknown player', status: 404 };
+        const pid = pseudonymFor(odairy);
+        const removed = {};
+        const pseudonymized = {};
+        const count = (tally, name, n = 1) => { if (n) tally[name] = (tally[name] || 0) + n; };
+
+        db.transaction(() => {
+            // Deleted outright
+            for (const name of ['users', 'sanctions', 'cheatFlags', 'wallets', 'achievementProgress', 'friends', 'blocks']) {
+                if (db[name].has(odairy)) { db.remove(name, odairy); count(removed, name); }
+            }
+            const drop = (name, fn) => {
+                for (const [key, value] of Array.from(db[name])) {
+                    if (fn(value, key)) { db.remove(name, key); count(removed, name); }
+                }
+            };
+            drop('usernames', id => id === odairy);
+            drop('friendRequests', r => r.from === odairy || r.to === odairy);
+            drop('gameSessions', s => s.odairy === odairy);
+            for (const name of ['friends', 'blocks']) {
+                for (const [key, list] of Array.from(db[name])) {
+                    if (!list.includes(odairy)) continue;
+                    db[name].set(key, list.filter(id => id !== odairy));
+                    db.save(name, key);
+                }
+            }
+            count(removed, 'groupChats', groupChats.removePlayer(odairy));
+            for (const board of rankedBoards.boardsOf(odairy)) {
+                rankedBoards.remove(board, odairy);
+                count(removed, 'leaderboardEntries');
+            }
+            db.onlineUsers.delete(odairy);
+
+            // Kept under the pseudonym (a record keyed by the id moves to the pseudonym key)
+            for (const name of ['starCharges', 'cheatReports', 'seasonResults', 'referrals', 'dailyStats', 'broadcasts', 'broadcastRecipients']) {
+                for (const [key, value] of Array.from(db[name])) {
+                    if (key !== odairy && !mentions(value, odairy)) continue;
+                    const next = scrub(value, odairy, pid);
+                    if (key === odairy) {
+                        db.remove(name, key);
+                        db[name].set(pid, next);
+                        db.save(name, pid);
+                    } else {
+                        replaceContents(value, next);
+                        db.save(name, key);
+                    }
+                    count(pseudonymized, name);
+                }
+            }
+            for (const name of ['payments', 'starLedger', 'moderationLog', 'adminAudit']) {
+                count(pseudonymized, name, pseudonymizeLog(name, odairy));
+            }
+            for (const name of ['activityLog', 'rejectedScores', 'usernameHistory', 'gameHistory']) {
+                count(removed, name, db.rewriteLog(name, r => (mentions(r, odairy) ? null : r)));
+            }
+            addActivity('account_deleted', { pseudonym: pid, by, reason });
+        });
+        return { ok: true, pseudonym: pid, removed, pseudonymized };
+    }
+
+    return { exportData, erase, pseudonymizeLog, pseudonymFor };
+}
+
+module.exports = { createAccountData };
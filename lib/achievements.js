@@ -0,0 +1,203 @@
+// ==========================================
+// Achievements & Daily Quests
+// ==========================================
+// Definitions live in db.achievementDefs (admin-editable, seeded from
+// DEFAULT_DEFINITIONS on first start):
+//   { id, type: 'achievement' | 'daily', title, description, metric, goal,
+//     reward: { stars, badge }, active }
+// A definition is met when the player's metric reaches `goal` - for weeklyRank
+// (lower is better) when it is at or under it. Achievements use lifetime
+// metrics; daily quests use metrics that reset each calendar day.
+//
+// db.achievementProgress keeps per-player metrics rather than per-definition
+// counters, so a newly added definition applies to progress already made:
+//   { odairy, lifetime: { metric: value }, day, daily: { metric: value },
+//     completed: { id: at }, claimed: { id: at }, dailyCompleted, dailyClaimed }
+// Lifetime metrics are seeded from `baseline(odairy)` the first time a player
+// is tracked. Each reward can be claimed once (daily ones once per day).
+
+const METRICS = {
+    games: 'count',      // games finished
+    points: 'count',     // sum of game scores
+    referrals: 'count',  // players invited
+    score: 'max',        // best single game score
+    weeklyRank: 'min'    // best weekly leaderboard rank
+};
+const TYPES = ['achievement', 'daily'];
+
+const DEFAULT_DEFINITIONS = [
+    { id: 'first_game', type: 'achievement', title: 'First Merge', description: 'Play your first game', metric: 'games', goal: 1, reward: { stars: 10 } },
+    { id: 'games_100', type: 'achievement', title: 'Veteran', description: 'Play 100 games', metric: 'games', goal: 100, reward: { stars: 100, badge: 'veteran' } },
+    { id: 'score_10k', type: 'achievement', title: 'High Scorer', description: 'Reach 10,000 points in one game', metric: 'score', goal: 10000, reward: { stars: 50 } },
+    { id: 'invite_friend', type: 'achievement', title: 'Recruiter', description: 'Invite a friend', metric: 'referrals', goal: 1, reward: { stars: 25 } },
+    { id: 'weekly_top10', type: 'achievement', title: 'Contender', description: 'Place in the weekly top 10', metric: 'weeklyRank', goal: 10, reward: { stars: 100, badge: 'top10' } },
+    { id: 'daily_games_5', type: 'daily', title: 'Daily Grind', description: 'Play 5 games today', metric: 'games', goal: 5, reward: { stars: 10 } },
+    { id: 'daily_points_5k', type: 'daily', title: 'Point Collector', description: 'Score 5,000 points in total today', metric: 'points', goal: 5000, reward: { stars: 10 } },
+    { id: 'daily_score_2k', type: 'daily', title: 'Warm Up', description: 'Reach 2,000 points in one game today', metric: 'score', goal: 2000, reward: { stars: 5 } }
+].map(d => ({ ...d, active: true }));
+
+// Returns { def } or { error, field }
+function validateDefinition(id, body) {
+    if (!/^[a-z0-9_]{2,40}$/.test(id)) return { error: 'Invalid id', field: 'id' };
+    const { type, title, description = '', metric, goal, reward = {}, active = true } = body || {};
+    if (!TYPES.includes(type)) return { error: 'Invalid type', field: 'type' };
+    if (typeof title !== 'string' || !title.trim()) return { error: 'Title required', field: 'title' };
+    if (!METRICS[metric]) return { error: 'Invalid metric', field: 'metric' };
+    if (!Number.isInteger(goal) || goal < 1) return { error: 'Goal must be a positive integer', field: 'goal' };
+    const stars = reward.stars ?? 0;
+    if (!Number.isInteger(stars) || stars < 0) return { error: 'Invalid reward', field: 'reward.stars' };
+    if (reward.badge !== undefined && reward.badge !== null && typeof reward.badge !== 'string') return { error: 'Invalid badge', field: 'reward.badge' };
+    return {
+        def: {
+            id, type, title: title.trim(), description: String(description), metric, goal,
+            reward: { stars, ...(reward.badge && { badge: reward.badge }) }, active: Boolean(active)
+        }
+    };
+}
+
+function createAchievements({ db, wallet, dayKey, baseline, addActivity }) {
+    const isMet = (def, value) => value !== undefined && (METRICS[def.metric] === 'min' ? value <= def.goal : value >= def.goal);
+
+    function seed() {
+        if (db.achievementDefs.size) return;
+        db.transaction(() => {
+            for (const def of DEFAULT_DEFINITIONS) {
+                db.achievementDefs.set(def.id, def);
+                db.save('achievementDefs', def.id);
+            }
+        });
+    }
+
+    function definitions({ activeOnly = false } = {}) {
+        return Array.from(db.achievementDefs.values()).filter(d => !activeOnly || d.active);
+    }
+
+    // Rolls the daily part over when the day changed. Doesn't save.
+    function load(odairy) {
+        const today = dayKey(Date.now());
+        let p = db.achievementProgress.get(odairy);
+        const created = !p;
+        if (!p) {
+            p = { odairy, lifetime: { ...baseline(odairy) }, completed: {}, claimed: {} };
+            db.achievementProgress.set(odairy, p);
+        }
+        if (p.day !== today) Object.assign(p, { day: today, daily: {}, dailyCompleted: {}, dailyClaimed: {} });
+        return { p, created };
+    }
+
+    function apply(values, metric, value) {
+        const mode = METRICS[metric];
+        const current = values[metric];
+        if (mode === 'count') values[metric] = (current || 0) + value;
+        else if (mode === 'max') values[metric] = Math.max(current || 0, value);
+        else values[metric] = current === undefined ? value : Math.min(current, value);
+    }
+
+    // Call after the event is recorded elsewhere. updates: { metric: amount | value }.
+    // Returns definitions completed by this event.
+    function track(odairy, updates) {
+        const { p, created } = load(odairy);
+        for (const [metric, value] of Object.entries(updates)) {
+            if (!METRICS[metric] || value === null || value === undefined) continue;
+            // A fresh baseline already counts this event
+            if (!(created && METRICS[metric] === 'count' && metric in p.lifetime)) apply(p.lifetime, metric, value);
+            apply(p.daily, metric, value);
+        }
+        const completed = evaluate(p);
+        persist(p, completed);
+        return completed;
+    }
+
+    // Marks definitions the progress now meets (including ones added since
+    // the last event) and returns them
+    function evaluate(p) {
+        const now = Date.now();
+        const completed = [];
+        for (const def of definitions({ activeOnly: true })) {
+            const [values, done] = def.type === 'daily' ? [p.daily, p.dailyCompleted] : [p.lifetime, p.completed];
+            if (done[def.id] || !isMet(def, values[def.metric])) continue;
+            done[def.id] = now;
+            completed.push(def);
+        }
+        return completed;
+    }
+
+    function persist(p, completed) {
+        db.transaction(() => {
+            db.save('achievementProgress', p.odairy);
+            for (const def of completed) addActivity('achievement_completed', { odairy: p.odairy, id: def.id, type: def.type });
+        });
+    }
+
+    function view(def, p) {
+        const daily = def.type === 'daily';
+        const values = daily ? p.daily : p.lifetime;
+        const completedAt = (daily ? p.dailyCompleted : p.completed)[def.id] || null;
+        const claimedAt = (daily ? p.dailyClaimed : p.claimed)[def.id] || null;
+        return {
+            id: def.id, title: def.title, description: def.description, metric: def.metric, goal: def.goal,
+            reward: def.reward, progress: values[def.metric] ?? null,
+            completed: Boolean(completedAt), completedAt, claimed: Boolean(claimedAt), claimedAt
+        };
+    }
+
+    function progressFor(odairy) {
+        const { p } = load(odairy);
+        const completed = evaluate(p);
+        if (completed.length) persist(p, completed);
+        const defs = definitions({ activeOnly: true });
+        return {
+            achievements: defs.filter(d => d.type === 'achievement').map(d => view(d, p)),
+            daily: { day: p.day, quests: defs.filter(d => d.type === 'daily').map(d => view(d, p)) }
+        };
+    }
+
+    // Returns { ok, reward, entry } or { error, status }
+    function claim(odairy, id) {
+        const def = db.achievementDefs.get(id);
+        if (!def || !def.active) return { error: 'Not found', status: 404 };
+        const { p } = load(odairy);
+        const newlyCompleted = evaluate(p);
+        if (newlyCompleted.length) persist(p, newlyCompleted);
+        const daily = def.type === 'daily';
+        const completed = daily ? p.dailyCompleted : p.completed;
+        const claimed = daily ? p.dailyClaimed : p.claimed;
+        if (!completed[id]) return { error: 'Not completed', status: 400, field: 'id' };
+        if (claimed[id]) return { error: 'Already claimed', status: 409 };
+
+        return db.transaction(() => {
+            claimed[id] = Date.now();
+            db.save('achievementProgress', odairy);
+            const ref = daily ? `quest:${p.day}:${id}` : `achievement:${id}`;
+            const entry = def.reward.stars ? wallet.credit(odairy, def.reward.stars, 'achievement_reward', ref) : null;
+            const u = db.users.get(odairy);
+            if (def.reward.badge && u) {
+                u.badges = u.badges || [];
+                if (!u.badges.some(b => b.id === def.reward.badge)) {
+                    u.badges.push({ id: def.reward.badge, achievement: id, awardedAt: Date.now() });
+                    db.save('users', odairy);
+                }
+            }
+            addActivity('achievement_claimed', { odairy, id, stars: def.reward.stars });
+            return { ok: true, reward: def.reward, entry };
+        });
+    }
+
+    function upsert(id, body) {
+        const result = validateDefinition(id, body);
+        if (result.error) return { ...result, status: 400 };
+        db.achievementDefs.set(id, result.def);
+        db.save('achievementDefs', id);
+        return { ok: true, def: result.def };
+    }
+
+    function remove(id) {
+        if (!db.achievementDefs.has(id)) return { error: 'Not found', status: 404 };
+        db.remove('achievementDefs', id);
+        return { ok: true };
+    }
+
+    return { seed, definitions, track, progressFor, claim, upsert, remove };
+}
+
+module.exports = { createAchievements, DEFAULT_DEFINITIONS, METRICS };
@@ -0,0 +1,233 @@
+// ==========================================
+// Admin Accounts
+// ==========================================
+// Named admin accounts with scrypt-hashed passwords and roles
+// (viewer < moderator < owner). Login hands out short-lived bearer tokens;
+// only a SHA-256 of each token is stored. Repeated failures lock the account.
+// Every non-GET request made with a token is written to the `adminAudit` log.
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'moderator', 'owner'];
+const SENSITIVE = /pass(word)?|token|secret/i;
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function checkPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt') return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+const tokenHash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Copy of a request body with anything password-like blanked out
+function redact(body) {
+    if (!body || typeof body !== 'object') return body;
+    const out = {};
+    for (const [k, v] of Object.entries(body)) out[k] = SENSITIVE.test(k) ? '[redacted]' : v;
+    return out;
+}
+
+function createAdminAccounts({ db, tokenTtl, maxFailures, lockoutMs, minPasswordLength = 10 }) {
+    function publicAccount(a) {
+        const { passwordHash, ...rest } = a;
+        return rest;
+    }
+
+    function validatePassword(password) {
+        if (typeof password !== 'string' || password.length < minPasswordLength) {
+            return `Password must be at least ${minPasswordLength} characters`;
+        }
+        return null;
+    }
+
+    // Returns { account } or { error, status }
+    function create(username, password, role) {
+        username = String(username || '').trim().toLowerCase();
+        if (!/^[a-z0-9_.-]{3,32}$/.test(username)) return { error: 'Invalid username', status: 400, field: 'username' };
+        if (!ROLES.includes(role)) return { error: 'Invalid role', status: 400, field: 'role' };
+        if (db.admins.has(username)) return { error: 'Account exists', status: 409 };
+        const weak = validatePassword(password);
+        if (weak) return { error: weak, status: 400, field: 'password' };
+
+        const account = {
+            username, role, passwordHash: hashPassword(password),
+            createdAt: Date.now(), disabled: false, failedLogins: 0, lockedUntil: null, lastLoginAt: null
+        };
+        db.admins.set(username, account);
+        db.save('admins', username);
+        return { account: publicAccount(account) };
+    }
+
+    function update(username, { role, password, disabled }) {
+        const account = db.admins.get(username);
+        if (!account) return { error: 'Account not found', status: 404 };
+        if (role !== undefined && !ROLES.includes(role)) return { error: 'Invalid role', status: 400, field: 'role' };
+        if (password !== undefined) {
+            const weak = validatePassword(password);
+            if (weak) return { error: weak, status: 400, field: 'password' };
+        }
+        const demotesOwner = account.role === 'owner' && ((role && role !== 'owner') || disabled === true);
+        if (demotesOwner && ownerCount() <= 1) return { error: 'Cannot remove the last owner', status: 409 };
+
+        db.transaction(() => {
+            if (role !== undefined) account.role = role;
+            if (disabled !== undefined) account.disabled = Boolean(disabled);
+            if (password !== undefined) {
+                account.passwordHash = hashPassword(password);
+                account.failedLogins = 0;
+                account.lockedUntil = null;
+            }
+            db.save('admins', username);
+            // Role, password or status changes end existing sessions
+            revokeAll(username);
+        });
+        return { account: publicAccount(account) };
+    }
+
+    function remove(username) {
+        const account = db.admins.get(username);
+        if (!account) return { error: 'Account not found', status: 404 };
+        if (account.role === 'owner' && ownerCount() <= 1) return { error: 'Cannot remove the last owner', status: 409 };
+        db.transaction(() => {
+            revokeAll(username);
+            db.remove('admins', username);
+        });
+        return { ok: true };
+    }
+
+    function ownerCount() {
+        return Array.from(db.admins.values()).filter(a => a.role === 'owner' && !a.disabled).length;
+    }
+
+    // Checks a password, counting failures toward lockout.
+    // Returns { account } or { error, status, retryAfter }
+    function verify(username, password) {
+        username = String(username || '').trim().toLowerCase();
+        const account = db.admins.get(username);
+        // Same answer for unknown and wrong, so usernames can't be probed
+        if (!account || account.disabled) return { error: 'Invalid credentials', status: 401 };
+
+        const now = Date.now();
+        if (account.lockedUntil && account.lockedUntil > now) {
+            return { error: 'Account locked', status: 429, retryAfter: Math.ceil((account.lockedUntil - now) / 1000) };
+        }
+
+        if (!checkPassword(String(password || ''), account.passwordHash)) {
+            account.failedLogins = (account.failedLogins || 0) + 1;
+            if (account.failedLogins >= maxFailures) {
+                account.lockedUntil = now + lockoutMs;
+                account.failedLogins = 0;
+            }
+            db.save('admins', username);
+            return { error: 'Invalid credentials', status: 401 };
+        }
+        return { account };
+    }
+
+    // Returns { token, expiresAt, account } or { error, status, retryAfter }
+    function login(username, password) {
+        const checked = verify(username, password);
+        if (checked.error) return checked;
+        const { account } = checked;
+        const now = Date.now();
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = now + tokenTtl;
+        db.transaction(() => {
+            account.failedLogins = 0;
+            account.lockedUntil = null;
+            account.lastLoginAt = now;
+            db.save('admins', account.username);
+            const key = tokenHash(token);
+            db.adminTokens.set(key, { username: account.username, createdAt: now, expiresAt });
+            db.save('adminTokens', key);
+        });
+        return { token, expiresAt, account: publicAccount(account) };
+    }
+
+    function logout(token) {
+        const key = tokenHash(token);
+        if (db.adminTokens.has(key)) db.remove('adminTokens', key);
+    }
+
+    function revokeAll(username) {
+        for (const [key, t] of db.adminTokens) {
+            if (t.username === username) db.remove('adminTokens', key);
+        }
+    }
+
+    function resolve(token) {
+        const entry = token && db.adminTokens.get(tokenHash(token));
+        if (!entry || entry.expiresAt <= Date.now()) return null;
+        const account = db.admins.get(entry.username);
+        if (!account || account.disabled) return null;
+        return account;
+    }
+
+    function cleanupTokens() {
+        const now = Date.now();
+        db.transaction(() => {
+            for (const [key, t] of db.adminTokens) {
+                if (t.expiresAt <= now) db.remove('adminTokens', key);
+            }
+        });
+    }
+
+    function audit(entry) {
+        db.append('adminAudit', { ...entry, timestamp: Date.now() });
+    }
+
+    // Express middleware: Authorization: Bearer <token>. Sets req.admin and
+    // audits the request once the response is sent (GETs are not audited).
+    function authenticate(req, res, next) {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+        const account = resolve(token);
+        if (!account) return res.status(401).json({ error: 'Unauthorized' });
+
+        req.admin = { username: account.username, role: account.role };
+        req.adminToken = token;
+        if (req.method !== 'GET') {
+            res.on('finish', () => audit({
+                admin: account.username, role: account.role,
+                action: `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+                path: req.originalUrl, params: req.params, body: redact(req.body),
+                status: res.statusCode, ip: req.ip
+            }));
+        }
+        next();
+    }
+
+    function requireRole(role) {
+        const needed = ROLES.indexOf(role);
+        const middleware = (req, res, next) => {
+            if (!req.admin || ROLES.indexOf(req.admin.role) < needed) return res.status(403).json({ error: 'Forbidden' });
+            next();
+        };
+        // Lets lib/openapi.js document the 403 response
+        middleware.requiredRole = role;
+        return middleware;
+    }
+
+    // Creates the first owner from env so a fresh install can log in.
+    // Returns { account }, { error } when the env values are rejected, or null
+    // when there is nothing to do.
+    function bootstrap(username, password) {
+        if (db.admins.size || !password) return null;
+        return create(username, password, 'owner');
+    }
+
+    return {
+        create, update, remove, verify, login, logout, resolve, cleanupTokens, audit,
+        authenticate, requireRole, bootstrap, list: () => Array.from(db.admins.values()).map(publicAccount)
+    };
+}
+
+module.exports = { createAdminAccounts, ROLES, hashPassword, checkPassword, redact };
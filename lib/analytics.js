@@ -0,0 +1,199 @@
+// ==========================================
+// Analytics
+// ==========================================
+// db.dailyStats keeps one durable aggregate per calendar day (season time zone):
+//   { day, users: { id: { games, isNew } }, newUsers, gamesStarted, gamesCompleted,
+//     revenue: { stars, payments, refunds, refundedStars, byItem: { id: { count, stars, refunds } } } }
+// Records are written as heartbeat, game and payment events happen; reports
+// (DAU/WAU/MAU, retention, revenue) are computed from them on request.
+// Retention cohorts come from db.users firstSeen, so they cover players who
+// joined before these aggregates existed.
+
+const MAX_RANGE_DAYS = 366;
+
+// Calendar arithmetic on 'YYYY-MM-DD' keys
+const shiftDay = (day, n) => new Date(Date.parse(`${day}T00:00:00Z`) + n * 86400000).toISOString().slice(0, 10);
+
+function dayRange(from, to) {
+    const days = [];
+    for (let d = from; d <= to && days.length < MAX_RANGE_DAYS; d = shiftDay(d, 1)) days.push(d);
+    return days;
+}
+
+function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+    const cell = v => {
+        const s = v === null || v === undefined ? '' : String(v);
+        return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return [columns.join(','), ...rows.map(r => columns.map(c => cell(r[c])).join(','))].join('\n') + '\n';
+}
+
+function createAnalytics({ db, dayKey }) {
+    function record(day) {
+        let r = db.dailyStats.get(day);
+        if (!r) {
+            r = {
+                day, users: {}, newUsers: 0, gamesStarted: 0, gamesCompleted: 0,
+                revenue: { stars: 0, payments: 0, refunds: 0, refundedStars: 0, byItem: {} }
+            };
+            db.dailyStats.set(day, r);
+        }
+        return r;
+    }
+
+    function touch(r, odairy) {
+        if (r.users[odairy]) return false;
+        r.users[odairy] = { games: 0, isNew: false };
+        return true;
+    }
+
+    // Heartbeat. Only writes when the player is new to the day.
+    function recordActive(odairy, { isNew = false } = {}) {
+        const day = dayKey(Date.now());
+        const r = record(day);
+        const added = touch(r, odairy);
+        if (isNew && !r.users[odairy].isNew) {
+            r.users[odairy].isNew = true;
+            r.newUsers++;
+        } else if (!added) {
+            return;
+        }
+        db.save('dailyStats', day);
+    }
+
+    function recordGameStart(odairy) {
+        const day = dayKey(Date.now());
+        const r = record(day);
+        touch(r, odairy);
+        r.users[odairy].games++;
+        r.gamesStarted++;
+        db.save('dailyStats', day);
+    }
+
+    function recordGameEnd() {
+        const day = dayKey(Date.now());
+        record(day).gamesCompleted++;
+        db.save('dailyStats', day);
+    }
+
+    function itemStats(r, item) {
+        return r.revenue.byItem[item] || (r.revenue.byItem[item] = { count: 0, stars: 0, refunds: 0 });
+    }
+
+    // item is the catalog product id, or the raw invoice payload for anything else
+    function recordPayment(odairy, amount, item, timestamp = Date.now()) {
+        const day = dayKey(timestamp);
+        const r = record(day);
+        touch(r, odairy);
+        r.revenue.stars += amount;
+        r.revenue.payments++;
+        const s = itemStats(r, item);
+        s.count++;
+        s.stars += amount;
+        db.save('dailyStats', day);
+    }
+
+    function recordRefund(amount, item, timestamp = Date.now()) {
+        const day = dayKey(timestamp);
+        const r = record(day);
+        r.revenue.refunds++;
+        r.revenue.refundedStars += amount;
+        itemStats(r, item).refunds++;
+        db.save('dailyStats', day);
+    }
+
+    function usersBetween(from, to) {
+        const ids = new Set();
+        for (const day of dayRange(from, to)) {
+            for (const id of Object.keys(db.dailyStats.get(day)?.users || {})) ids.add(id);
+        }
+        return ids.size;
+    }
+
+    // One row per day: dau, wau, mau, new vs returning, games per player
+    function activity(from, to) {
+        return dayRange(from, to).map(day => {
+            const r = db.dailyStats.get(day);
+            const users = Object.values(r?.users || {});
+            const players = users.filter(u => u.games > 0).length;
+            const dau = users.length;
+            return {
+                day, dau,
+                wau: usersBetween(shiftDay(day, -6), day),
+                mau: usersBetween(shiftDay(day, -29), day),
+                newUsers: r?.newUsers || 0,
+                returningUsers: dau - (r?.newUsers || 0),
+                players,
+                gamesStarted: r?.gamesStarted || 0,
+                gamesCompleted: r?.gamesCompleted || 0,
+                gamesPerPlayer: players ? Math.round((r.gamesStarted / players) * 100) / 100 : 0
+            };
+        });
+    }
+
+    // Cohorts by first-seen day; a rate is null until its day has arrived
+    function retention(from, to) {
+        const today = dayKey(Date.now());
+        const cohorts = new Map(dayRange(from, to).map(day => [day, []]));
+        for (const u of db.users.values()) {
+            const day = u.firstSeen && dayKey(u.firstSeen);
+            if (cohorts.has(day)) cohorts.get(day).push(u.odairy);
+        }
+        const retained = (ids, day) => {
+            if (day > today) return null;
+            const users = db.dailyStats.get(day)?.users || {};
+            return ids.filter(id => users[id]).length;
+        };
+        const rate = (n, size) => (n === null || !size ? null : Math.round((n / size) * 1000) / 10);
+        return Array.from(cohorts, ([day, ids]) => {
+            const d1 = retained(ids, shiftDay(day, 1));
+            const d7 = retained(ids, shiftDay(day, 7));
+            return { day, cohortSize: ids.length, d1Retained: d1, d1Rate: rate(d1, ids.length), d7Retained: d7, d7Rate: rate(d7, ids.length) };
+        });
+    }
+
+    function revenue(from, to) {
+        const byItem = {};
+        const days = dayRange(from, to).map(day => {
+            const rev = db.dailyStats.get(day)?.revenue;
+            for (const [item, s] of Object.entries(rev?.byItem || {})) {
+                const t = byItem[item] || (byItem[item] = { item, count: 0, stars: 0, refunds: 0 });
+                t.count += s.count;
+                t.stars += s.stars;
+                t.refunds += s.refunds;
+            }
+            return {
+                day, stars: rev?.stars || 0, payments: rev?.payments || 0,
+                refunds: rev?.refunds || 0, refundedStars: rev?.refundedStars || 0
+            };
+        });
+        return { days, byItem: Object.values(byItem).sort((a, b) => b.stars - a.stars) };
+    }
+
+    // Seeds an empty store from what is already durable: first/last seen
+    // days from db.users and every payment in the log. True when it wrote
+    // any day (a fresh install has nothing to backfill).
+    function backfill(itemOf) {
+        if (db.dailyStats.size) return false;
+        db.transaction(() => {
+            for (const u of db.users.values()) {
+                for (const [ts, isNew] of [[u.firstSeen, true], [u.lastSeen, false]]) {
+                    if (!ts) continue;
+                    const r = record(dayKey(ts));
+                    touch(r, u.odairy);
+                    if (isNew && !r.users[u.odairy].isNew) { r.users[u.odairy].isNew = true; r.newUsers++; }
+                }
+            }
+            for (const p of db.readLog('payments')) {
+                if (String(p.item).startsWith('refund:')) recordRefund(-p.amount, p.item.slice(7), p.timestamp);
+                else recordPayment(p.odairy, p.amount, itemOf(p.item), p.timestamp);
+            }
+            for (const day of db.dailyStats.keys()) db.save('dailyStats', day);
+        });
+        return db.dailyStats.size > 0;
+    }
+
+    return { recordActive, recordGameStart, recordGameEnd, recordPayment, recordRefund, activity, retention, revenue, backfill };
+}
+
+module.exports = { createAnalytics, toCsv, dayRange, shiftDay, MAX_RANGE_DAYS };
@@ -0,0 +1,162 @@
+// ==========================================
+// API Schemas
+// ==========================================
+// Response shapes shared by several routes, published as OpenAPI components
+// (refer to them with t.ref('LeaderboardEntry')). Route-specific request and
+// response schemas live next to their routes in server.js. spec() doesn't
+// follow $ref, so request schemas use these objects directly
+// (SCHEMAS.Promotion) rather than t.ref().
+
+const { t } = require('./schema');
+const { ROLES } = require('./adminAccounts');
+const { TARGETS } = require('./broadcasts');
+const { STATUSES: REPORT_STATUSES } = require('./cheatReports');
+
+const id = t.string({ description: 'Telegram user id' });
+
+const SCHEMAS = {
+    Success: t.object({ success: t.boolean() }, ['success']),
+
+    LeaderboardEntry: t.object({
+        odairy: id, score: t.integer(), rank: t.integer(),
+        achievedAt: t.integer({ description: 'When the score was reached (ms); breaks ties' }),
+        username: t.nullable(t.string()), avatar: t.string(), nameColor: t.nullable(t.string()),
+        isVip: t.nullable(t.boolean()), isVVIP: t.nullable(t.boolean())
+    }, ['odairy', 'score']),
+
+    // Paged boards (see boardPage in server.js)
+    BoardPage: t.object({
+        mode: t.string(),
+        leaderboard: t.array(t.ref('LeaderboardEntry')),
+        total: t.integer(),
+        nextCursor: t.nullable(t.string({ description: 'Pass as ?cursor= for the next page' })),
+        player: t.object({ odairy: id, rank: t.integer(), total: t.integer(), percentile: t.number() }, [], {
+            description: 'With ?around= only'
+        })
+    }, ['mode', 'leaderboard', 'total']),
+
+    PlayerRanks: t.object({
+        mode: t.string(),
+        weeklyRank: t.nullable(t.integer()), allTimeRank: t.nullable(t.integer()),
+        weeklyTotal: t.integer(), allTimeTotal: t.integer(),
+        weeklyPercentile: t.nullable(t.number()), allTimePercentile: t.nullable(t.number()),
+        seasons: t.object({}, [], {
+            description: 'By season period',
+            additionalProperties: t.object({
+                season: t.string(), rank: t.nullable(t.integer()), total: t.integer(), percentile: t.nullable(t.number())
+            })
+        })
+    }),
+
+    Reward: t.object({ stars: t.integer(), badge: t.string() }),
+
+    // Completed during the request (game routes)
+    AchievementUnlock: t.object({
+        id: t.string(), type: t.enum(['achievement', 'daily']), title: t.string(), reward: t.ref('Reward')
+    }),
+
+    AchievementProgress: t.object({
+        id: t.string(), title: t.string(), description: t.string(), metric: t.string(), goal: t.integer(),
+        reward: t.ref('Reward'), progress: t.nullable(t.number()),
+        completed: t.boolean(), completedAt: t.nullable(t.integer()),
+        claimed: t.boolean(), claimedAt: t.nullable(t.integer())
+    }),
+
+    WalletTransaction: t.object({
+        id: t.string(), odairy: id, type: t.string({ example: 'purchase' }), amount: t.integer(),
+        ref: t.nullable(t.string()), balanceAfter: t.integer(), timestamp: t.integer()
+    }),
+
+    Promotion: t.object({
+        type: t.enum(['bonus', 'discount']),
+        bonusPercent: t.integer({ minimum: 1, maximum: 1000, description: 'bonus only' }),
+        price: t.integer({ minimum: 1, description: 'discount only; below the regular price' }),
+        startsAt: t.anyOf(t.integer(), t.string({ format: 'date-time' })),
+        endsAt: t.anyOf(t.integer(), t.string({ format: 'date-time' }))
+    }, ['type', 'startsAt', 'endsAt']),
+
+    // A product as sold right now (see quote in lib/catalog.js)
+    Offer: t.object({
+        id: t.string(), version: t.integer(), title: t.string(), stars: t.integer(), bonus: t.integer(),
+        price: t.integer({ description: 'In Telegram Stars (XTR)' }),
+        regularPrice: t.integer(), regularBonus: t.integer(),
+        promotion: t.nullable(t.object({ type: t.enum(['bonus', 'discount']), endsAt: t.integer() })),
+        firstPurchaseOnly: t.boolean(), perUserLimit: t.nullable(t.integer())
+    }),
+
+    Product: t.object({
+        id: t.string(), title: t.string(), stars: t.integer(), bonus: t.integer(), price: t.integer(),
+        active: t.boolean(), sort: t.integer(), version: t.integer(),
+        promotion: t.nullable(t.ref('Promotion')),
+        firstPurchaseOnly: t.boolean(), perUserLimit: t.nullable(t.integer()), updatedAt: t.integer()
+    }),
+
+    FriendCard: t.object({
+        odairy: id, username: t.string(), avatar: t.string(), highScore: t.integer(),
+        nameColor: t.nullable(t.string()), isVip: t.nullable(t.boolean()), online: t.boolean(),
+        status: t.enum(['accepted', 'incoming', 'outgoing', 'blocked']),
+        requestedAt: t.integer({ description: 'Pending requests only' })
+    }),
+
+    Game: t.object({
+        id: t.string({ description: 'Game session id' }), odairy: id, mode: t.string(), score: t.integer(),
+        durationMs: t.integer(), startedAt: t.integer(), timestamp: t.integer(),
+        day: t.string({ example: '2026-10-19' }), week: t.string({ example: '2026-W43' })
+    }),
+
+    GamePage: t.object({
+        games: t.array(t.ref('Game')), total: t.integer(),
+        nextBefore: t.nullable(t.integer({ description: 'Pass as ?before= for older games' }))
+    }),
+
+    PlayerStats: t.object({
+        odairy: id, mode: t.nullable(t.string()),
+        games: t.integer(), bestScore: t.integer(), averageScore: t.integer(),
+        averageDurationMs: t.integer(), totalPlayMs: t.integer(),
+        firstGameAt: t.nullable(t.integer()), lastGameAt: t.nullable(t.integer()),
+        bestByWeek: t.array(t.object({ week: t.string(), best: t.integer(), games: t.integer() })),
+        gamesPerDay: t.array(t.object({ day: t.string(), games: t.integer() })),
+        recent: t.array(t.ref('Game'))
+    }),
+
+    Sanction: t.object({
+        reason: t.nullable(t.string()), by: t.string(), createdAt: t.integer(), expiresAt: t.nullable(t.integer())
+    }),
+
+    CheatReport: t.object({
+        id: t.string(), reporterId: id, targetId: id, reason: t.string(), snapshot: t.object(),
+        status: t.enum(REPORT_STATUSES), createdAt: t.integer(),
+        reviewedBy: t.nullable(t.string()), reviewedAt: t.nullable(t.integer()), note: t.nullable(t.string()),
+        action: t.nullable(t.object())
+    }),
+
+    Broadcast: t.object({
+        id: t.string(), text: t.string(), target: t.ref('BroadcastTarget'), playButton: t.boolean(),
+        createdBy: t.string(), createdAt: t.integer(), status: t.string({ example: 'queued' }), total: t.integer(),
+        sent: t.integer(), failed: t.integer(), unreachable: t.integer(), skipped: t.integer(),
+        startedAt: t.nullable(t.integer()), completedAt: t.nullable(t.integer())
+    }),
+
+    BroadcastTarget: t.object({
+        type: t.enum(TARGETS),
+        days: t.integer({ minimum: 1, maximum: 365, description: 'active only' }),
+        n: t.integer({ minimum: 1, maximum: 1000, description: 'top only' })
+    }, ['type']),
+
+    AdminAccount: t.object({
+        username: t.string(), role: t.enum(ROLES), disabled: t.boolean(),
+        createdAt: t.integer(), lastLoginAt: t.nullable(t.integer())
+    }),
+
+    // Account deletion: what was removed and what kept under the pseudonym
+    Erasure: t.object({
+        success: t.boolean(), pseudonym: t.string(),
+        removed: t.object({}, [], { additionalProperties: t.integer() }),
+        pseudonymized: t.object({}, [], { additionalProperties: t.integer() })
+    }),
+
+    // Analytics reports answer CSV instead with ?format=csv
+    ReportRange: t.object({ from: t.string(), to: t.string(), timeZone: t.string() })
+};
+
+module.exports = { SCHEMAS };
@@ -0,0 +1,45 @@
+// ==========================================
+// Bot Command Router
+// ==========================================
+// Maps "/command args" messages to handlers. Handles the "/cmd@BotName" form
+// Telegram uses in groups. Commands registered with a description are
+// published through setMyCommands; hidden ones (like /start) are not.
+
+function createBotRouter() {
+    const commands = new Map();
+
+    // handler(message, args) - args is the text after the command
+    function command(name, description, handler) {
+        commands.set(name, { name, description, handler });
+    }
+
+    function parse(text) {
+        const m = /^\/([a-z0-9_]+)(?:@(\w+))?(?:\s+([\s\S]*))?$/i.exec(text.trim());
+        if (!m) return null;
+        return { name: m[1].toLowerCase(), mention: m[2] || null, args: (m[3] || '').trim() };
+    }
+
+    // Resolves true when a command handled the message
+    async function handle(message, botUsername) {
+        if (!message?.text?.startsWith('/')) return false;
+        const parsed = parse(message.text);
+        if (!parsed) return false;
+        // In groups, ignore commands addressed to another bot
+        if (parsed.mention && botUsername && parsed.mention.toLowerCase() !== botUsername.toLowerCase()) return false;
+
+        const cmd = commands.get(parsed.name);
+        if (!cmd) return false;
+        await cmd.handler(message, parsed.args);
+        return true;
+    }
+
+    function list() {
+        return Array.from(commands.values())
+            .filter(c => c.description)
+            .map(c => ({ command: c.name, description: c.description }));
+    }
+
+    return { command, handle, list, parse };
+}
+
+module.exports = { createBotRouter };
@@ -0,0 +1,227 @@
+// ==========================================
+// Broadcasts
+// ==========================================
+// Admin messages sent through the bot. Recipients are resolved once, when the
+// broadcast is queued, and stored in db.broadcastRecipients (id -> [odairy]).
+// db.broadcasts holds the progress:
+//   { id, text, target, playButton, createdBy, createdAt, status, total, cursor,
+//     sent, failed, unreachable, skipped, errors: [{ odairy, error }], startedAt, completedAt }
+// status: queued -> sending -> completed | cancelled
+//
+// One broadcast sends at a time, at most `rate` messages per second. The cursor
+// is saved after every message, so a restart resumes where it stopped without
+// messaging anyone twice. A 429 waits for Telegram's retry_after and retries
+// the same recipient. Players who blocked the bot (or never started it) get
+// `unreachable` on their user record and are left out until they come back.
+// Recipients whose account was deleted meanwhile are skipped.
+
+const TARGETS = ['all', 'active', 'top'];
+const MAX_TEXT = 4096;
+const MAX_ERRORS = 50;
+const MAX_RETRIES = 5;
+
+// Returns { target } or { error }
+function parseTarget(body) {
+    const { type, days, n } = body || {};
+    if (!TARGETS.includes(type)) return { error: 'Invalid target type' };
+    if (type === 'active') {
+        if (!Number.isInteger(days) || days < 1 || days > 365) return { error: 'days must be 1-365' };
+        return { target: { type, days } };
+    }
+    if (type === 'top') {
+        if (!Number.isInteger(n) || n < 1 || n > 1000) return { error: 'n must be 1-1000' };
+        return { target: { type, n } };
+    }
+    return { target: { type } };
+}
+
+// Telegram error -> { retryAfter } | { unreachable } | { transient } | { failed }
+function classify(e) {
+    const body = e.response?.body || {};
+    const status = body.error_code || e.response?.statusCode;
+    const description = body.description || e.message;
+    if (status === 429) return { retryAfter: body.parameters?.retry_after || 1, description };
+    if (status === 403 || (status === 400 && /chat not found|user is deactivated/i.test(description))) {
+        return { unreachable: true, description };
+    }
+    if (!status || status >= 500) return { transient: true, description };
+    return { failed: true, description };
+}
+
+function createBroadcasts({ db, bot, webappUrl, rate, resolveTarget, addActivity, wait = ms => new Promise(r => setTimeout(r, ms)) }) {
+    const interval = 1000 / rate;
+    let running = null;
+
+    function markUnreachable(odairy, reason) {
+        const u = db.users.get(odairy);
+        if (!u || u.unreachable) return;
+        u.unreachable = { reason, at: Date.now() };
+        db.save('users', odairy);
+    }
+
+    // The player messaged or unblocked the bot
+    function markReachable(odairy) {
+        const u = db.users.get(odairy);
+        if (!u?.unreachable) return;
+        delete u.unreachable;
+        db.save('users', odairy);
+    }
+
+    function recipientsFor(target) {
+        return resolveTarget(target).filter(id => !db.users.get(id)?.unreachable);
+    }
+
+    // Returns { ok, broadcast } or { error, status }. dryRun only counts recipients.
+    function create({ text, target: rawTarget, playButton = false, by, dryRun = false }) {
+        if (typeof text !== 'string' || !text.trim()) return { error: 'Text required', status: 400, field: 'text' };
+        if (text.length > MAX_TEXT) return { error: `Text must be at most ${MAX_TEXT} characters`, status: 400, field: 'text' };
+        const { target, error } = parseTarget(rawTarget);
+        if (error) return { error, status: 400, field: 'target' };
+
+        const recipients = recipientsFor(target);
+        if (dryRun) return { ok: true, dryRun: true, total: recipients.length };
+        if (!recipients.length) return { error: 'No recipients', status: 400, field: 'target' };
+
+        const id = `bc_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        const broadcast = {
+            id, text, target, playButton: Boolean(playButton), createdBy: by, createdAt: Date.now(),
+            status: 'queued', total: recipients.length, cursor: 0,
+            sent: 0, failed: 0, unreachable: 0, skipped: 0, errors: [], startedAt: null, completedAt: null
+        };
+        db.transaction(() => {
+            db.broadcastRecipients.set(id, recipients);
+            db.save('broadcastRecipients', id);
+            db.broadcasts.set(id, broadcast);
+            db.save('broadcasts', id);
+            addActivity('broadcast_queued', { id, by, total: broadcast.total });
+        });
+        kick();
+        return { ok: true, broadcast: view(broadcast) };
+    }
+
+    function cancel(id, by) {
+        const b = db.broadcasts.get(id);
+        if (!b) return { error: 'Not found', status: 404 };
+        if (!['queued', 'sending'].includes(b.status)) return { error: `Broadcast is ${b.status}`, status: 409 };
+        db.transaction(() => {
+            b.status = 'cancelled';
+            b.completedAt = Date.now();
+            db.save('broadcasts', id);
+            addActivity('broadcast_cancelled', { id, by, sent: b.sent });
+        });
+        return { ok: true, broadcast: view(b) };
+    }
+
+    function view(b) {
+        return { ...b, progress: b.total ? Math.round((b.cursor / b.total) * 1000) / 10 : 100 };
+    }
+
+    function list(limit = 50) {
+        return Array.from(db.broadcasts.values()).sort((a, b) => b.createdAt - a.createdAt).slice(0, limit).map(view);
+    }
+
+    function get(id) {
+        const b = db.broadcasts.get(id);
+        return b ? view(b) : null;
+    }
+
+    function options(b) {
+        return b.playButton ? { reply_markup: { inline_keyboard: [[{ text: '🎮 Play Now', web_app: { url: webappUrl } }]] } } : {};
+    }
+
+    // Resolves 'sent', or { unreachable | failed: description }
+    async function deliver(b, odairy) {
+        let transientFailures = 0;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await bot.sendMessage(odairy, b.text, options(b));
+                return 'sent';
+            } catch (e) {
+                const result = classify(e);
+                if (result.retryAfter && attempt < MAX_RETRIES) {
+                    console.warn(`[Broadcast] Rate limited, waiting ${result.retryAfter}s`);
+                    await wait(result.retryAfter * 1000);
+                    continue;
+                }
+                if (result.transient && ++transientFailures < 3) {
+                    await wait(1000 * 2 ** transientFailures);
+                    continue;
+                }
+                return result.unreachable ? { unreachable: result.description } : { failed: result.description };
+            }
+        }
+    }
+
+    function record(b, odairy, outcome) {
+        db.transaction(() => {
+            if (outcome === 'sent') b.sent++;
+            else if (outcome === 'skipped') b.skipped++;
+            else {
+                if (outcome.unreachable) {
+                    b.unreachable++;
+                    markUnreachable(odairy, outcome.unreachable);
+                } else {
+                    b.failed++;
+                }
+                b.errors.push({ odairy, error: outcome.unreachable || outcome.failed });
+                if (b.errors.length > MAX_ERRORS) b.errors.shift();
+            }
+            b.cursor++;
+            db.save('broadcasts', b.id);
+        });
+    }
+
+    function nextBroadcast() {
+        return Array.from(db.broadcasts.values())
+            .filter(b => b.status === 'queued' || b.status === 'sending')
+            .sort((a, b) => a.createdAt - b.createdAt)[0] || null;
+    }
+
+    async function work() {
+        let b;
+        while ((b = nextBroadcast())) {
+            if (b.status === 'queued') {
+                b.status = 'sending';
+                b.startedAt = Date.now();
+                db.save('broadcasts', b.id);
+            }
+            const recipients = db.broadcastRecipients.get(b.id) || [];
+            // Stops on cancel, or when a data reset dropped the record (which
+            // must not be saved again)
+            const exists = () => db.broadcasts.get(b.id) === b;
+            while (b.status === 'sending' && exists() && b.cursor < recipients.length) {
+                const odairy = recipients[b.cursor];
+                const u = db.users.get(odairy);
+                if (!u || u.unreachable) {
+                    record(b, odairy, 'skipped');
+                    continue;
+                }
+                const outcome = await deliver(b, odairy);
+                if (!exists()) break;
+                record(b, odairy, outcome);
+                await wait(interval);
+            }
+            if (b.status !== 'sending' || !exists()) continue;
+            db.transaction(() => {
+                b.status = 'completed';
+                b.completedAt = Date.now();
+                db.save('broadcasts', b.id);
+                addActivity('broadcast_completed', { id: b.id, sent: b.sent, failed: b.failed, unreachable: b.unreachable });
+            });
+            console.log(`[Broadcast] ${b.id} done: ${b.sent}/${b.total} sent, ${b.unreachable} unreachable, ${b.failed} failed`);
+        }
+    }
+
+    // Starts the sender unless it is already running; also resumes after a restart
+    function kick() {
+        if (running) return running;
+        running = work()
+            .catch(e => console.error('[Broadcast] Sender stopped:', e.message))
+            .finally(() => { running = null; });
+        return running;
+    }
+
+    return { create, cancel, list, get, kick, markUnreachable, markReachable, idle: () => running || Promise.resolve() };
+}
+
+module.exports = { createBroadcasts, parseTarget, classify, TARGETS };
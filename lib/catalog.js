@@ -0,0 +1,233 @@
+// ==========================================
+// Product Catalog
+// ==========================================
+// Star packages sold through Telegram invoices. db.products holds the current
+// product:
+//   { id, title, stars, bonus, price, active, sort, version, promotion,
+//     firstPurchaseOnly, perUserLimit, updatedAt }
+// promotion: null or { type: 'bonus', bonusPercent | 'discount', price, startsAt, endsAt }
+//
+// Every change to what a product sells or costs saves a new version in
+// db.productVersions (`${id}:${version}`, never edited). Invoice payloads name
+// the version and whether the promotion applied -
+//   stars:<id>:<version>:<promo 0|1>:<odairy>
+// - so the webhook credits exactly what was quoted, whatever the catalog says
+// by then. Payloads from before the catalog (stars:<id>:<odairy>) are version 1.
+// Limits are checked when the invoice is created and again at pre-checkout,
+// which also turns away promotional invoices once the promotion has ended.
+
+const DEFAULT_PRODUCTS = [
+    { id: 'stars_100', stars: 100, price: 10, bonus: 0 },
+    { id: 'stars_500', stars: 500, price: 45, bonus: 50 },
+    { id: 'stars_1000', stars: 1000, price: 80, bonus: 200 },
+    { id: 'stars_5000', stars: 5000, price: 350, bonus: 1500 }
+];
+
+// Fields that make up a version
+const TERMS = ['title', 'stars', 'bonus', 'price', 'promotion', 'firstPurchaseOnly', 'perUserLimit'];
+
+const isCount = (v, min) => Number.isInteger(v) && v >= min;
+
+function parseTime(value) {
+    const ms = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(ms) ? ms : null;
+}
+
+// Returns { promotion } or { error, field }
+function validatePromotion(promo, price) {
+    if (promo === null) return { promotion: null };
+    if (!promo || typeof promo !== 'object') return { error: 'Invalid promotion', field: 'promotion' };
+    const startsAt = parseTime(promo.startsAt);
+    const endsAt = parseTime(promo.endsAt);
+    if (startsAt === null || endsAt === null || endsAt <= startsAt) return { error: 'Promotion needs startsAt before endsAt', field: 'promotion.endsAt' };
+    if (promo.type === 'bonus') {
+        if (!isCount(promo.bonusPercent, 1) || promo.bonusPercent > 1000) return { error: 'bonusPercent must be 1-1000', field: 'promotion.bonusPercent' };
+        return { promotion: { type: 'bonus', bonusPercent: promo.bonusPercent, startsAt, endsAt } };
+    }
+    if (promo.type === 'discount') {
+        if (!isCount(promo.price, 1) || promo.price >= price) return { error: 'Discount price must be below the price', field: 'promotion.price' };
+        return { promotion: { type: 'discount', price: promo.price, startsAt, endsAt } };
+    }
+    return { error: 'Promotion type must be bonus or discount', field: 'promotion.type' };
+}
+
+// Merges body into current (if any). Returns { terms } or { error, field }.
+function validateTerms(body, current = {}) {
+    const t = { ...current, ...body };
+    if (!isCount(t.stars, 1)) return { error: 'stars must be a positive integer', field: 'stars' };
+    if (!isCount(t.bonus ?? 0, 0)) return { error: 'bonus must be a non-negative integer', field: 'bonus' };
+    if (!isCount(t.price, 1)) return { error: 'price must be a positive integer', field: 'price' };
+    if (t.perUserLimit !== undefined && t.perUserLimit !== null && !isCount(t.perUserLimit, 1)) return { error: 'Invalid perUserLimit', field: 'perUserLimit' };
+    if (t.title !== undefined && (typeof t.title !== 'string' || !t.title.trim())) return { error: 'Invalid title', field: 'title' };
+    const { promotion, error, field } = validatePromotion(t.promotion ?? null, t.price);
+    if (error) return { error, field };
+    return {
+        terms: {
+            title: t.title?.trim() || `${t.stars} Stars`, stars: t.stars, bonus: t.bonus ?? 0, price: t.price,
+            promotion, firstPurchaseOnly: Boolean(t.firstPurchaseOnly), perUserLimit: t.perUserLimit ?? null
+        }
+    };
+}
+
+function parsePayload(payload) {
+    const parts = String(payload).split(':');
+    if (parts[0] !== 'stars') return null;
+    if (parts.length === 3) return { productId: parts[1], version: 1, promo: false, odairy: parts[2] };
+    if (parts.length === 5) return { productId: parts[1], version: Number(parts[2]), promo: parts[3] === '1', odairy: parts[4] };
+    return null;
+}
+
+function createCatalog({ db }) {
+    const versionKey = (id, version) => `${id}:${version}`;
+    const sameTerms = (a, b) => TERMS.every(k => JSON.stringify(a[k] ?? null) === JSON.stringify(b[k] ?? null));
+
+    function saveVersion(product) {
+        const key = versionKey(product.id, product.version);
+        const snapshot = { id: product.id, version: product.version, createdAt: Date.now() };
+        for (const k of TERMS) snapshot[k] = product[k];
+        db.productVersions.set(key, snapshot);
+        db.save('productVersions', key);
+    }
+
+    function seed() {
+        if (db.products.size) return;
+        db.transaction(() => {
+            DEFAULT_PRODUCTS.forEach((p, i) => {
+                const product = { id: p.id, ...validateTerms(p).terms, active: true, sort: i, version: 1, updatedAt: Date.now() };
+                db.products.set(p.id, product);
+                db.save('products', p.id);
+                saveVersion(product);
+            });
+        });
+    }
+
+    function list({ includeInactive = false } = {}) {
+        return Array.from(db.products.values())
+            .filter(p => includeInactive || p.active)
+            .sort((a, b) => a.sort - b.sort);
+    }
+
+    const promotionLive = (promo, now) => Boolean(promo) && promo.startsAt <= now && now < promo.endsAt;
+
+    // What a version sells for, with or without its promotion
+    function quote(v, promo) {
+        const bonus = promo?.type === 'bonus' ? v.bonus + Math.floor((v.stars * promo.bonusPercent) / 100) : v.bonus;
+        const price = promo?.type === 'discount' ? promo.price : v.price;
+        return {
+            id: v.id, version: v.version, title: v.title, stars: v.stars, bonus, price,
+            regularPrice: v.price, regularBonus: v.bonus,
+            promotion: promo ? { type: promo.type, endsAt: promo.endsAt } : null,
+            firstPurchaseOnly: v.firstPurchaseOnly, perUserLimit: v.perUserLimit
+        };
+    }
+
+    function currentQuote(product, now = Date.now()) {
+        return quote(product, promotionLive(product.promotion, now) ? product.promotion : null);
+    }
+
+    function purchasesOf(odairy) {
+        return Array.from(db.starCharges.values()).filter(c => c.odairy === odairy);
+    }
+
+    // Why odairy can't buy the product right now, or null
+    function blockedReason(odairy, product) {
+        const purchases = purchasesOf(odairy);
+        if (product.firstPurchaseOnly && purchases.length) return 'Only available on your first purchase';
+        const bought = purchases.filter(c => c.packageId === product.id && !c.refundedAt).length;
+        if (product.perUserLimit && bought >= product.perUserLimit) return 'Purchase limit reached';
+        return null;
+    }
+
+    // Active products as odairy sees them (without odairy: everything active)
+    function offersFor(odairy, now = Date.now()) {
+        return list()
+            .filter(p => !odairy || !blockedReason(odairy, p))
+            .map(p => currentQuote(p, now));
+    }
+
+    // Returns { offer, payload } or { error, status }
+    function prepareInvoice(odairy, productId) {
+        const product = db.products.get(productId);
+        if (!product || !product.active) return { error: 'Unknown product', status: 400, field: 'packageId' };
+        const reason = blockedReason(odairy, product);
+        if (reason) return { error: reason, status: 409 };
+        const offer = currentQuote(product);
+        return { offer, payload: `stars:${product.id}:${product.version}:${offer.promotion ? 1 : 0}:${odairy}` };
+    }
+
+    // The offer a payload was issued for, or null when it isn't a star purchase
+    // or names an unknown version
+    function quoteFor(payload) {
+        const p = parsePayload(payload);
+        const v = p && db.productVersions.get(versionKey(p.productId, p.version));
+        return v ? quote(v, p.promo ? v.promotion : null) : null;
+    }
+
+    // Pre-checkout: error message, or null to accept. Non-star payloads pass.
+    function checkPayload(odairy, payload, now = Date.now()) {
+        if (!parsePayload(payload)) return null;
+        const offer = quoteFor(payload);
+        const product = offer && db.products.get(offer.id);
+        if (!product?.active) return 'This offer is no longer available';
+        // A promotional invoice can't be paid after the promotion ends
+        if (offer.promotion && now >= offer.promotion.endsAt) return 'This promotion has ended';
+        return blockedReason(odairy, offer);
+    }
+
+    // Returns { ok, product } or { error, status }
+    function create(body) {
+        const { id } = body || {};
+        if (typeof id !== 'string' || !/^[a-z0-9_]{2,40}$/.test(id)) return { error: 'Invalid id', status: 400, field: 'id' };
+        if (db.products.has(id)) return { error: 'Product exists', status: 409 };
+        const { terms, error, field } = validateTerms(body);
+        if (error) return { error, status: 400, field };
+        const sort = Math.max(-1, ...list({ includeInactive: true }).map(p => p.sort)) + 1;
+        const product = { id, ...terms, active: body.active !== false, sort, version: 1, updatedAt: Date.now() };
+        db.transaction(() => {
+            db.products.set(id, product);
+            db.save('products', id);
+            saveVersion(product);
+        });
+        return { ok: true, product };
+    }
+
+    // Partial update; a new version only when the terms change
+    function update(id, body = {}) {
+        const product = db.products.get(id);
+        if (!product) return { error: 'Not found', status: 404 };
+        const changes = Object.fromEntries(TERMS.filter(k => k in body).map(k => [k, body[k]]));
+        const { terms, error, field } = validateTerms(changes, product);
+        if (error) return { error, status: 400, field };
+        db.transaction(() => {
+            if (!sameTerms(terms, product)) {
+                Object.assign(product, terms, { version: product.version + 1 });
+                saveVersion(product);
+            }
+            if (body.active !== undefined) product.active = Boolean(body.active);
+            product.updatedAt = Date.now();
+            db.save('products', id);
+        });
+        return { ok: true, product };
+    }
+
+    // ids in display order; products not listed keep their order after them
+    function reorder(ids) {
+        if (!Array.isArray(ids) || ids.some(id => !db.products.has(id))) return { error: 'Unknown product', status: 400, field: 'ids' };
+        const rest = list({ includeInactive: true }).filter(p => !ids.includes(p.id)).map(p => p.id);
+        db.transaction(() => {
+            [...new Set(ids), ...rest].forEach((id, i) => {
+                db.products.get(id).sort = i;
+                db.save('products', id);
+            });
+        });
+        return { ok: true, products: list({ includeInactive: true }) };
+    }
+
+    function versions(id) {
+        return Array.from(db.productVersions.values()).filter(v => v.id === id).sort((a, b) => b.version - a.version);
+    }
+
+    return { seed, list, offersFor, prepareInvoice, quoteFor, checkPayload, create, update, reorder, versions };
+}
+
+module.exports = { createCatalog, parsePayload, DEFAULT_PRODUCTS };
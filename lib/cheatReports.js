@@ -0,0 +1,133 @@
+// ==========================================
+// Cheat Reports
+// ==========================================
+// db.cheatReports holds player reports for admin review:
+//   { id, reporterId, targetId, reason, snapshot, status, createdAt,
+//     reviewedBy, reviewedAt, note, action }
+// status is open -> dismissed | actioned. The snapshot freezes what the target's
+// record looked like when reported (recent games, rejected scores, ranks).
+// A reporter can't report the same target again while an earlier report is
+// open or younger than `dedupeWindow`, and files at most `maxPerHour` reports.
+// A target reported by `flagThreshold` distinct players is flagged in
+// db.cheatFlags until its reports are resolved.
+
+const crypto = require('crypto');
+
+const STATUSES = ['open', 'dismissed', 'actioned'];
+const SNAPSHOT_DAYS = 7;
+
+function createCheatReports({ db, ranksOf, flagThreshold, dedupeWindow, maxPerHour, addActivity, onFlag }) {
+    function snapshot(targetId) {
+        const since = Date.now() - SNAPSHOT_DAYS * 86400000;
+        const user = db.users.get(targetId);
+        const games = db.readLog('gameHistory', { since, odairy: targetId, limit: 20 })
+            .map(g => ({ id: g.id, mode: g.mode, score: g.score, durationMs: g.durationMs, timestamp: g.timestamp }));
+        const rejected = db.readLog('rejectedScores', { since, odairy: targetId });
+        return {
+            highScore: user?.highScore || 0, gamesPlayed: user?.gamesPlayed || 0,
+            recentGames: games, rejectedScores: rejected.length,
+            lastRejected: rejected.slice(-5), ranks: ranksOf(targetId), takenAt: Date.now()
+        };
+    }
+
+    function reportsAgainst(targetId, status) {
+        return Array.from(db.cheatReports.values()).filter(r => r.targetId === targetId && (!status || r.status === status));
+    }
+
+    function updateFlag(targetId) {
+        const reporters = new Set(reportsAgainst(targetId, 'open').map(r => r.reporterId));
+        const flagged = db.cheatFlags.get(targetId);
+        if (reporters.size >= flagThreshold) {
+            if (flagged) {
+                flagged.reporters = reporters.size;
+                db.save('cheatFlags', targetId);
+                return;
+            }
+            db.cheatFlags.set(targetId, { targetId, reporters: reporters.size, flaggedAt: Date.now() });
+            db.save('cheatFlags', targetId);
+            addActivity('cheat_flagged', { odairy: targetId, reporters: reporters.size });
+            onFlag?.(targetId, reporters.size);
+        } else if (flagged && reporters.size === 0) {
+            db.remove('cheatFlags', targetId);
+        }
+    }
+
+    // Returns { ok, report } or { error, status, retryAfter }
+    function submit(reporterId, targetId, reason) {
+        targetId = targetId && String(targetId);
+        reason = String(reason || '').trim().slice(0, 500);
+        if (!targetId || targetId === reporterId) return { error: 'Invalid target', status: 400, field: 'odairy' };
+        if (!db.users.has(targetId)) return { error: 'User not found', status: 404 };
+        if (!reason) return { error: 'Reason required', status: 400, field: 'reason' };
+
+        const now = Date.now();
+        const mine = Array.from(db.cheatReports.values()).filter(r => r.reporterId === reporterId);
+        const lastHour = mine.filter(r => now - r.createdAt < 3600000);
+        if (lastHour.length >= maxPerHour) {
+            const oldest = Math.min(...lastHour.map(r => r.createdAt));
+            return { error: 'Too many reports', status: 429, retryAfter: Math.ceil((oldest + 3600000 - now) / 1000) };
+        }
+        const repeat = mine.find(r => r.targetId === targetId && (r.status === 'open' || now - r.createdAt < dedupeWindow));
+        if (repeat) return { ok: true, report: repeat, duplicate: true };
+
+        const report = {
+            id: `rep_${crypto.randomBytes(8).toString('hex')}`,
+            reporterId, targetId, reason, snapshot: snapshot(targetId),
+            status: 'open', createdAt: now, reviewedBy: null, reviewedAt: null, note: null, action: null
+        };
+        db.transaction(() => {
+            db.cheatReports.set(report.id, report);
+            db.save('cheatReports', report.id);
+            addActivity('cheat_report', { reporterId, targetId });
+            updateFlag(targetId);
+        });
+        return { ok: true, report };
+    }
+
+    // Closes one report, or every open report on the same target with { allForTarget }.
+    // action links to the moderation log entry that dealt with it.
+    function resolve(id, { status, by, note = null, action = null, allForTarget = false }) {
+        const report = db.cheatReports.get(id);
+        if (!report) return { error: 'Report not found', status: 404 };
+        if (!['dismissed', 'actioned'].includes(status)) return { error: 'Invalid status', status: 400, field: 'status' };
+
+        const targets = allForTarget ? reportsAgainst(report.targetId, 'open') : [report];
+        if (!targets.includes(report)) targets.push(report);
+        db.transaction(() => {
+            for (const r of targets) {
+                Object.assign(r, { status, reviewedBy: by, reviewedAt: Date.now(), note, action });
+                db.save('cheatReports', r.id);
+            }
+            updateFlag(report.targetId);
+        });
+        return { ok: true, resolved: targets.map(r => r.id) };
+    }
+
+    function reopen(id) {
+        const report = db.cheatReports.get(id);
+        if (!report) return { error: 'Report not found', status: 404 };
+        db.transaction(() => {
+            Object.assign(report, { status: 'open', reviewedBy: null, reviewedAt: null, note: null, action: null });
+            db.save('cheatReports', id);
+            updateFlag(report.targetId);
+        });
+        return { ok: true };
+    }
+
+    // Newest first; flagged targets first when listing open reports
+    function list({ status, targetId, reporterId } = {}) {
+        return Array.from(db.cheatReports.values())
+            .filter(r => (!status || r.status === status) && (!targetId || r.targetId === targetId) && (!reporterId || r.reporterId === reporterId))
+            .sort((a, b) => (db.cheatFlags.has(b.targetId) - db.cheatFlags.has(a.targetId)) || b.createdAt - a.createdAt);
+    }
+
+    function counts() {
+        const out = Object.fromEntries(STATUSES.map(s => [s, 0]));
+        for (const r of db.cheatReports.values()) out[r.status]++;
+        return { ...out, flagged: db.cheatFlags.size };
+    }
+
+    return { submit, resolve, reopen, list, counts, reportsAgainst, flagged: () => Array.from(db.cheatFlags.values()) };
+}
+
+module.exports = { createCheatReports, STATUSES };
@@ -0,0 +1,173 @@
+// ==========================================
+// In-memory DB
+// ==========================================
+// All reads come from memory. Every change must be persisted explicitly:
+//   db.save('users', id)      keyed collection entry
+//   db.save('stats')          top-level value (stored in the `meta` collection)
+//   db.remove('users', id)
+//   db.append('payments', r)  append-only log
+//   db.rewriteLog('payments', fn)  edit past log records (erasure only)
+// Wrap multi-step changes in db.transaction(() => { ... }).
+
+// Keyed collections: 'map' -> Map, 'object' -> plain object
+const COLLECTIONS = {
+    users: 'map',
+    usernames: 'map',
+    friends: 'map',
+    friendRequests: 'map',
+    blocks: 'map',
+    referrals: 'map',
+    sanctions: 'map',
+    cheatReports: 'map',
+    cheatFlags: 'map',
+    admins: 'map',
+    adminTokens: 'map',
+    gameSessions: 'map',
+    leaderboardEntries: 'map',
+    // Legacy capped boards, moved into leaderboardEntries on startup
+    dailyLeaderboard: 'object',
+    weeklyLeaderboard: 'object',
+    monthlyLeaderboard: 'object',
+    wallets: 'map',
+    starCharges: 'map',
+    seasonResults: 'map',
+    dailyStats: 'map',
+    achievementDefs: 'map',
+    achievementProgress: 'map',
+    products: 'map',
+    productVersions: 'map',
+    groupChats: 'map',
+    broadcasts: 'map',
+    broadcastRecipients: 'map'
+};
+
+// Logs: how many records to hold in memory (`keep`) and in storage
+// (`stored`), and in which order. SQLite ignores `stored` and keeps the full
+// history; the JSON driver rewrites its whole file on every flush, so it trims
+// each log to `stored`. The accounting logs (payments, starLedger) are never trimmed.
+const LOGS = {
+    payments: { keep: Infinity, stored: Infinity, newestFirst: false },
+    activityLog: { keep: 200, stored: 200, newestFirst: true },
+    rejectedScores: { keep: 1000, stored: 1000, newestFirst: true },
+    starLedger: { keep: Infinity, stored: Infinity, newestFirst: false },
+    adminAudit: { keep: 200, stored: 10000, newestFirst: true },
+    moderationLog: { keep: 500, stored: 10000, newestFirst: true },
+    usernameHistory: { keep: 500, stored: 10000, newestFirst: true },
+    gameHistory: { keep: 500, stored: 20000, newestFirst: true }
+};
+
+// Top-level values
+const META = {
+    stats: () => ({ totalUsers: 0, totalGamesPlayed: 0, totalRevenue: 0 }),
+    currentWeek: () => null,
+    allTimeLeaderboard: () => [], // legacy, see leaderboardEntries
+    usernamePolicy: () => null
+};
+
+function createDb(storage) {
+    const logLimits = {};
+    const storeLimits = {};
+    for (const [name, spec] of Object.entries(LOGS)) {
+        if (spec.keep !== Infinity) logLimits[name] = spec.keep;
+        if (spec.stored !== Infinity) storeLimits[name] = spec.stored;
+    }
+
+    const db = { onlineUsers: new Map() };
+
+    function reset(snapshot) {
+        for (const [name, type] of Object.entries(COLLECTIONS)) {
+            const data = snapshot.collections[name] || {};
+            db[name] = type === 'map' ? new Map(Object.entries(data)) : { ...data };
+        }
+        for (const [name, spec] of Object.entries(LOGS)) {
+            const list = (snapshot.logs[name] || []).slice();
+            db[name] = spec.newestFirst ? list.reverse() : list;
+        }
+        const meta = snapshot.collections.meta || {};
+        for (const [key, def] of Object.entries(META)) {
+            db[key] = meta[key] !== undefined ? meta[key] : def();
+        }
+    }
+    reset(storage.load({ logLimits, storeLimits }));
+
+    function read(name, key) {
+        const value = db[name];
+        return value instanceof Map ? value.get(key) : value[key];
+    }
+
+    Object.assign(db, {
+        storage,
+
+        save(name, key) {
+            if (META[name]) return storage.put('meta', name, db[name]);
+            if (!COLLECTIONS[name]) throw new Error(`Unknown collection: ${name}`);
+            const value = read(name, key);
+            if (value === undefined) storage.remove(name, key);
+            else storage.put(name, key, value);
+        },
+
+        remove(name, key) {
+            if (!COLLECTIONS[name]) throw new Error(`Unknown collection: ${name}`);
+            if (db[name] instanceof Map) db[name].delete(key);
+            else delete db[name][key];
+            storage.remove(name, key);
+        },
+
+        append(name, record) {
+            const spec = LOGS[name];
+            if (!spec) throw new Error(`Unknown log: ${name}`);
+            if (spec.newestFirst) {
+                db[name].unshift(record);
+                if (db[name].length > spec.keep) db[name].length = spec.keep;
+            } else {
+                db[name].push(record);
+                if (db[name].length > spec.keep) db[name].splice(0, db[name].length - spec.keep);
+            }
+            storage.append(name, record);
+        },
+
+        // fn(record) returns the record unchanged, a replacement or null to
+        // drop it. It sees each record in storage and in memory, so it must
+        // not mutate. Returns how many stored records changed.
+        rewriteLog(name, fn) {
+            if (!LOGS[name]) throw new Error(`Unknown log: ${name}`);
+            db[name] = db[name].map(fn).filter(Boolean);
+            return storage.rewriteLog(name, fn);
+        },
+
+        // Everything storage holds (memory may hold only the tail)
+        readLog(name, options) { return storage.readLog(name, options); },
+
+        transaction(fn) { return storage.transaction(fn); },
+
+        // Wipes every collection and log except those named in `keep`, and
+        // every top-level value except those named in `keepMeta`, in memory
+        // and in storage
+        clearAll({ keep = [], keepMeta = [] } = {}) {
+            const kept = { collections: { meta: {} }, logs: {} };
+            storage.transaction(() => {
+                for (const [name, type] of Object.entries(COLLECTIONS)) {
+                    if (!keep.includes(name)) storage.clear(name);
+                    else kept.collections[name] = type === 'map' ? Object.fromEntries(db[name]) : db[name];
+                }
+                for (const name of Object.keys(LOGS)) {
+                    if (!keep.includes(name)) storage.clearLog(name);
+                    else kept.logs[name] = LOGS[name].newestFirst ? db[name].slice().reverse() : db[name];
+                }
+                storage.clear('meta');
+                for (const key of keepMeta) {
+                    kept.collections.meta[key] = db[key];
+                    storage.put('meta', key, db[key]);
+                }
+            });
+            reset(kept);
+        },
+
+        flush() { storage.flush(); },
+        close() { storage.close(); }
+    });
+
+    return db;
+}
+
+module.exports = { createDb, COLLECTIONS, LOGS, META };
@@ -0,0 +1,151 @@
+// ==========================================
+// Friend Graph
+// ==========================================
+// db.friends holds accepted, two-way friendships (id -> [ids]).
+// db.friendRequests holds pending requests keyed `${from}>${to}`.
+// db.blocks holds each user's block list (id -> [ids]); a block in either
+// direction prevents requests and removes any existing friendship.
+//
+// Mutations return { ok: true, ... } or { error, status } for the route.
+
+function createFriendGraph({ db, maxFriends }) {
+    const requestKey = (from, to) => `${from}>${to}`;
+    const friendsOf = id => db.friends.get(id) || [];
+
+    function isBlocked(a, b) {
+        return (db.blocks.get(a) || []).includes(b) || (db.blocks.get(b) || []).includes(a);
+    }
+
+    function areFriends(a, b) {
+        return friendsOf(a).includes(b);
+    }
+
+    function link(a, b) {
+        for (const [x, y] of [[a, b], [b, a]]) {
+            const list = friendsOf(x);
+            if (!list.includes(y)) { db.friends.set(x, [...list, y]); db.save('friends', x); }
+        }
+    }
+
+    function unlink(a, b) {
+        for (const [x, y] of [[a, b], [b, a]]) {
+            const list = friendsOf(x);
+            if (list.includes(y)) { db.friends.set(x, list.filter(id => id !== y)); db.save('friends', x); }
+        }
+    }
+
+    function dropRequests(a, b) {
+        for (const key of [requestKey(a, b), requestKey(b, a)]) {
+            if (db.friendRequests.has(key)) db.remove('friendRequests', key);
+        }
+    }
+
+    function capError(a, b) {
+        if (friendsOf(a).length >= maxFriends) return { error: 'Friend limit reached', status: 400, field: 'friendId' };
+        if (friendsOf(b).length >= maxFriends) return { error: 'Their friend list is full', status: 400, field: 'friendId' };
+        return null;
+    }
+
+    function request(from, to) {
+        if (!to || from === to) return { error: 'Cannot befriend yourself', status: 400, field: 'friendId' };
+        if (!db.users.has(to)) return { error: 'User not found', status: 404 };
+        // Don't reveal blocks - looks the same as any other refusal
+        if (isBlocked(from, to)) return { error: 'Cannot send request', status: 403 };
+        if (areFriends(from, to)) return { ok: true, status: 'accepted' };
+        // They already asked us: treat as accept
+        if (db.friendRequests.has(requestKey(to, from))) return accept(from, to);
+        const full = capError(from, to);
+        if (full) return full;
+
+        const key = requestKey(from, to);
+        if (!db.friendRequests.has(key)) {
+            db.friendRequests.set(key, { from, to, createdAt: Date.now() });
+            db.save('friendRequests', key);
+        }
+        return { ok: true, status: 'pending' };
+    }
+
+    // userId accepts the request fromId sent them
+    function accept(userId, fromId) {
+        const key = requestKey(fromId, userId);
+        if (!db.friendRequests.has(key)) return { error: 'No such request', status: 404 };
+        const full = capError(userId, fromId);
+        if (full) return full;
+        db.transaction(() => {
+            dropRequests(userId, fromId);
+            link(userId, fromId);
+        });
+        return { ok: true, status: 'accepted' };
+    }
+
+    function decline(userId, fromId) {
+        const key = requestKey(fromId, userId);
+        if (!db.friendRequests.has(key)) return { error: 'No such request', status: 404 };
+        db.remove('friendRequests', key);
+        return { ok: true };
+    }
+
+    function cancel(userId, toId) {
+        const key = requestKey(userId, toId);
+        if (!db.friendRequests.has(key)) return { error: 'No such request', status: 404 };
+        db.remove('friendRequests', key);
+        return { ok: true };
+    }
+
+    function remove(userId, friendId) {
+        if (!areFriends(userId, friendId)) return { error: 'Not friends', status: 404 };
+        db.transaction(() => unlink(userId, friendId));
+        return { ok: true };
+    }
+
+    function block(userId, targetId) {
+        if (!targetId || userId === targetId) return { error: 'Cannot block yourself', status: 400, field: 'friendId' };
+        db.transaction(() => {
+            unlink(userId, targetId);
+            dropRequests(userId, targetId);
+            const list = db.blocks.get(userId) || [];
+            if (!list.includes(targetId)) { db.blocks.set(userId, [...list, targetId]); db.save('blocks', userId); }
+        });
+        return { ok: true };
+    }
+
+    function unblock(userId, targetId) {
+        const list = db.blocks.get(userId) || [];
+        if (!list.includes(targetId)) return { error: 'Not blocked', status: 404 };
+        db.blocks.set(userId, list.filter(id => id !== targetId));
+        db.save('blocks', userId);
+        return { ok: true };
+    }
+
+    // Auto-accepted friendship (referrals). Returns false when blocked or full.
+    function connect(a, b) {
+        if (!a || !b || a === b || isBlocked(a, b)) return false;
+        if (areFriends(a, b)) return true;
+        if (capError(a, b)) return false;
+        db.transaction(() => {
+            dropRequests(a, b);
+            link(a, b);
+        });
+        return true;
+    }
+
+    function pending(userId) {
+        const incoming = [], outgoing = [];
+        for (const r of db.friendRequests.values()) {
+            if (r.to === userId) incoming.push(r);
+            else if (r.from === userId) outgoing.push(r);
+        }
+        return { incoming, outgoing };
+    }
+
+    function blocked(userId) {
+        return db.blocks.get(userId) || [];
+    }
+
+    return {
+        request, accept, decline, cancel, remove, block, unblock, connect,
+        isBlocked, areFriends, pending, blocked, friendsOf
+    };
+}
+
+module.exports = { createFriendGraph };
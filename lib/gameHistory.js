@@ -0,0 +1,88 @@
+// ==========================================
+// Game History
+// ==========================================
+// Every game accepted by /api/game/end, in the `gameHistory` log:
+//   { id, odairy, mode, score, durationMs, startedAt, timestamp, day, week }
+// id is the game session nonce, so a game can be matched with its rejected
+// submits (rejectedScores.sessionId). day and week are the season-calendar
+// keys when the game ended. Stats are worked out on request from the player's
+// games in storage (the full history with SQLite, the newest games with JSON).
+
+const { dayRange, shiftDay } = require('./analytics');
+
+function createGameHistory({ db, dayKey, weekKey, defaultMode }) {
+    function record(odairy, { sessionId, mode, score, startedAt, durationMs }) {
+        const timestamp = Date.now();
+        const game = {
+            id: sessionId, odairy, mode, score, durationMs, startedAt, timestamp,
+            day: dayKey(timestamp), week: weekKey(timestamp)
+        };
+        db.append('gameHistory', game);
+        return game;
+    }
+
+    // Oldest first; mode null means every mode. Games from before modes
+    // existed count as `defaultMode`.
+    function gamesOf(odairy, mode = null) {
+        return db.readLog('gameHistory', { odairy }).filter(g => !mode || (g.mode || defaultMode) === mode);
+    }
+
+    // Games the player finished, in every mode
+    function countOf(odairy) {
+        return gamesOf(odairy).length;
+    }
+
+    // Newest first, `limit` games ended before `before` (ms).
+    // Returns { games, total, nextBefore }
+    function historyOf(odairy, { mode = null, limit = 50, before = Infinity } = {}) {
+        const all = gamesOf(odairy, mode);
+        const older = all.filter(g => g.timestamp < before).reverse();
+        const games = older.slice(0, limit);
+        return {
+            games,
+            total: all.length,
+            nextBefore: older.length > limit ? games[games.length - 1].timestamp : null
+        };
+    }
+
+    // recent: last games to list; days: games-per-day window ending today;
+    // weeks: how many weeks of best scores (oldest first, for a trend line)
+    function statsOf(odairy, { mode = null, recent = 10, days = 30, weeks = 12 } = {}) {
+        const games = gamesOf(odairy, mode);
+        const totalScore = games.reduce((n, g) => n + g.score, 0);
+        const totalMs = games.reduce((n, g) => n + g.durationMs, 0);
+
+        const byWeek = new Map();
+        for (const g of games) {
+            const w = byWeek.get(g.week) || { week: g.week, best: 0, games: 0 };
+            w.best = Math.max(w.best, g.score);
+            w.games++;
+            byWeek.set(g.week, w);
+        }
+
+        const today = dayKey(Date.now());
+        const perDay = new Map(dayRange(shiftDay(today, 1 - days), today).map(d => [d, 0]));
+        for (const g of games) {
+            if (perDay.has(g.day)) perDay.set(g.day, perDay.get(g.day) + 1);
+        }
+
+        return {
+            odairy,
+            mode,
+            games: games.length,
+            bestScore: games.reduce((n, g) => Math.max(n, g.score), 0),
+            averageScore: games.length ? Math.round(totalScore / games.length) : 0,
+            averageDurationMs: games.length ? Math.round(totalMs / games.length) : 0,
+            totalPlayMs: totalMs,
+            firstGameAt: games[0]?.timestamp ?? null,
+            lastGameAt: games[games.length - 1]?.timestamp ?? null,
+            bestByWeek: Array.from(byWeek.values()).sort((a, b) => (a.week < b.week ? -1 : 1)).slice(-weeks),
+            gamesPerDay: Array.from(perDay, ([day, count]) => ({ day, games: count })),
+            recent: recent > 0 ? games.slice(-recent).reverse() : []
+        };
+    }
+
+    return { record, countOf, historyOf, statsOf };
+}
+
+module.exports = { createGameHistory };
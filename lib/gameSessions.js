@@ -0,0 +1,72 @@
+// ==========================================
+// Game Sessions
+// ==========================================
+// /api/game/start issues a signed session id; game/end and leaderboard/submit
+// must present it. Each route may consume a session once, and the score has
+// to be achievable in the time since the session started. The session also
+// remembers the game mode, so end and submit score on the board the game was
+// started for.
+
+const crypto = require('crypto');
+
+function createGameSessions({ db, secret, maxPointsPerSecond, maxGameLength }) {
+    const maxGameMs = maxGameLength * 1000;
+
+    function sign(nonce, odairy, startedAt) {
+        return crypto.createHmac('sha256', secret)
+            .update(`${nonce}:${odairy}:${startedAt}`)
+            .digest('base64url');
+    }
+
+    function start(odairy, mode) {
+        const nonce = crypto.randomBytes(12).toString('base64url');
+        const startedAt = Date.now();
+        db.gameSessions.set(nonce, { odairy, mode, startedAt, used: {} });
+        db.save('gameSessions', nonce);
+        return { sessionId: `${nonce}.${sign(nonce, odairy, startedAt)}`, startedAt };
+    }
+
+    // use: 'end' | 'submit'. Returns { session, elapsedMs } or { reason }
+    function consume(sessionId, odairy, score, use) {
+        if (typeof score !== 'number' || !Number.isFinite(score) || score < 0 || !Number.isInteger(score)) {
+            return { reason: 'invalid_score' };
+        }
+
+        const [nonce, sig] = String(sessionId).split('.');
+        const session = nonce && db.gameSessions.get(nonce);
+        if (!session || !sig) return { reason: 'unknown_session' };
+
+        const expected = Buffer.from(sign(nonce, session.odairy, session.startedAt));
+        const given = Buffer.from(sig);
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            return { reason: 'bad_signature' };
+        }
+        if (session.odairy !== odairy) return { reason: 'session_user_mismatch' };
+        if (session.used[use]) return { reason: 'session_already_used' };
+
+        const elapsedMs = Date.now() - session.startedAt;
+        if (elapsedMs > maxGameMs) return { reason: 'session_expired', elapsedMs };
+        if (score > Math.ceil((elapsedMs / 1000) * maxPointsPerSecond)) return { reason: 'score_too_high_for_duration', elapsedMs };
+        // The end and submit calls for one game must agree on the score
+        if (session.score !== undefined && session.score !== score) return { reason: 'score_mismatch', elapsedMs };
+
+        session.used[use] = Date.now();
+        session.score = score;
+        db.save('gameSessions', nonce);
+        return { session, elapsedMs };
+    }
+
+    // Sessions can't be consumed after maxGameLength, so drop them then
+    function cleanup() {
+        const now = Date.now();
+        db.transaction(() => {
+            for (const [nonce, s] of db.gameSessions) {
+                if (now - s.startedAt > maxGameMs) db.remove('gameSessions', nonce);
+            }
+        });
+    }
+
+    return { start, consume, cleanup };
+}
+
+module.exports = { createGameSessions };
@@ -0,0 +1,111 @@
+// ==========================================
+// Group Chats
+// ==========================================
+// Telegram groups the bot is in, and which players launched the game from
+// each. db.groupChats (chat id -> record):
+//   { id, title, type, addedAt, leftAt, members: { odairy: { joinedAt, lastLaunchAt } } }
+//
+// A chat becomes known when the bot sees a message or a membership update in
+// it. Players join a chat's board by opening the game through the chat's
+// link (start parameter `grp_<chatId>`, see launchParam). Links to chats the
+// bot isn't in are ignored, so a hand-made link can't create a board.
+
+const GROUP_TYPES = ['group', 'supergroup'];
+const PARAM_PREFIX = 'grp_';
+const RELAUNCH_SAVE_MS = 3600000; // lastLaunchAt is refreshed at most hourly
+
+const launchParam = chatId => `${PARAM_PREFIX}${chatId}`;
+
+// The chat id in a start parameter, or null
+function parseLaunchParam(param) {
+    const m = /^grp_(-?\d{1,20})$/.exec(String(param || ''));
+    return m ? m[1] : null;
+}
+
+function createGroupChats({ db }) {
+    // Telegram chat object from any update in the group
+    function seen(chat) {
+        if (!chat || !GROUP_TYPES.includes(chat.type)) return null;
+        const id = String(chat.id);
+        let g = db.groupChats.get(id);
+        if (g && g.title === chat.title && g.type === chat.type && !g.leftAt) return g;
+        if (!g) {
+            g = { id, title: chat.title || '', type: chat.type, addedAt: Date.now(), leftAt: null, members: {} };
+            db.groupChats.set(id, g);
+        }
+        g.title = chat.title || g.title;
+        g.type = chat.type;
+        g.leftAt = null;
+        db.save('groupChats', id);
+        return g;
+    }
+
+    // The bot was removed; members are kept in case it is added back
+    function left(chatId) {
+        const g = db.groupChats.get(String(chatId));
+        if (!g || g.leftAt) return;
+        g.leftAt = Date.now();
+        db.save('groupChats', g.id);
+    }
+
+    // A group upgraded to a supergroup gets a new id; its board moves along
+    function migrate(fromId, toId) {
+        const g = db.groupChats.get(String(fromId));
+        if (!g) return;
+        const id = String(toId);
+        // The supergroup may have been seen first
+        const target = db.groupChats.get(id);
+        db.transaction(() => {
+            db.remove('groupChats', g.id);
+            if (target) {
+                target.members = { ...g.members, ...target.members };
+            } else {
+                db.groupChats.set(id, { ...g, id, type: 'supergroup' });
+            }
+            db.save('groupChats', id);
+        });
+    }
+
+    function get(chatId) {
+        const g = db.groupChats.get(String(chatId));
+        return g && !g.leftAt ? g : null;
+    }
+
+    // Returns true when the player is new to the chat's board
+    function recordLaunch(chatId, odairy) {
+        const g = get(chatId);
+        if (!g) return false;
+        const now = Date.now();
+        const m = g.members[odairy];
+        if (m && now - m.lastLaunchAt < RELAUNCH_SAVE_MS) return false;
+        g.members[odairy] = { joinedAt: m?.joinedAt || now, lastLaunchAt: now };
+        db.save('groupChats', g.id);
+        return !m;
+    }
+
+    function membersOf(chatId) {
+        return Object.keys(get(chatId)?.members || {});
+    }
+
+    function chatsOf(odairy) {
+        return Array.from(db.groupChats.values())
+            .filter(g => g.members[odairy])
+            .map(g => ({ id: g.id, title: g.title, ...g.members[odairy] }));
+    }
+
+    // Account erasure: drops the player from every chat. Returns how many.
+    function removePlayer(odairy) {
+        let n = 0;
+        for (const g of db.groupChats.values()) {
+            if (!g.members[odairy]) continue;
+            delete g.members[odairy];
+            db.save('groupChats', g.id);
+            n++;
+        }
+        return n;
+    }
+
+    return { seen, left, migrate, get, recordLaunch, membersOf, chatsOf, removePlayer };
+}
+
+module.exports = { createGroupChats, launchParam, parseLaunchParam, GROUP_TYPES };
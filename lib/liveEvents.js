@@ -0,0 +1,103 @@
+// ==========================================
+// Live Events (Server-Sent Events)
+// ==========================================
+// Keeps open text/event-stream responses and pushes named events to them.
+// Each client joins one channel ('player' or 'admin') and may carry the
+// player id it authenticated as (plus any other fields passed to subscribe,
+// e.g. the game mode it watches), so events can be targeted or tailored:
+//   publish(channel, event, data)     data may be fn(client) -> payload | undefined (skip)
+//   sendTo(channel, odairy, event, data)
+// A comment line goes out every `keepAliveMs` so proxies don't drop idle streams.
+//
+// EventSource can't set headers, so a stream is opened with a ticket in the
+// query instead of credentials: issueTicket() keeps the credentials of the
+// request that asked for it, and redeemTicket() hands them back once, within
+// `ticketTtlMs`. Each owner (player id, admin username or IP) may hold at most
+// `maxPerOwner` streams per channel; check full() before subscribing.
+
+const crypto = require('crypto');
+
+function createLiveEvents({ keepAliveMs = 25000, ticketTtlMs = 60000, maxPerOwner = 3 } = {}) {
+    const clients = new Set();
+    const tickets = new Map();
+    let nextId = 1;
+
+    function write(client, event, payload) {
+        client.res.write(`id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    }
+
+    // Returns { ticket, expiresAt }
+    function issueTicket(channel, credentials) {
+        const ticket = crypto.randomBytes(24).toString('base64url');
+        const expiresAt = Date.now() + ticketTtlMs;
+        tickets.set(ticket, { channel, credentials, expiresAt });
+        return { ticket, expiresAt };
+    }
+
+    // The credentials the ticket was issued for, or null (unknown, used, expired or other channel)
+    function redeemTicket(channel, ticket) {
+        const entry = tickets.get(ticket);
+        if (!entry) return null;
+        tickets.delete(ticket);
+        if (entry.channel !== channel || entry.expiresAt <= Date.now()) return null;
+        return entry.credentials;
+    }
+
+    function full(channel, owner) {
+        let n = 0;
+        for (const client of clients) if (client.channel === channel && client.owner === owner) n++;
+        return n >= maxPerOwner;
+    }
+
+    // Takes over an Express response. owner defaults to the player id.
+    // Returns the client record.
+    function subscribe(req, res, { channel, odairy = null, owner = odairy, ...fields }) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        const client = { ...fields, res, channel, odairy, owner, connectedAt: Date.now() };
+        clients.add(client);
+        req.on('close', () => clients.delete(client));
+        return client;
+    }
+
+    function deliver(client, event, data) {
+        const payload = typeof data === 'function' ? data(client) : data;
+        if (payload !== undefined) write(client, event, payload);
+    }
+
+    function publish(channel, event, data) {
+        for (const client of clients) {
+            if (client.channel === channel) deliver(client, event, data);
+        }
+    }
+
+    function sendTo(channel, odairy, event, data) {
+        for (const client of clients) {
+            if (client.channel === channel && client.odairy === odairy) deliver(client, event, data);
+        }
+    }
+
+    function count(channel) {
+        let n = 0;
+        for (const client of clients) if (!channel || client.channel === channel) n++;
+        return n;
+    }
+
+    const timer = setInterval(() => {
+        for (const client of clients) client.res.write(': keep-alive\n\n');
+        const now = Date.now();
+        for (const [ticket, entry] of tickets) if (entry.expiresAt <= now) tickets.delete(ticket);
+    }, keepAliveMs);
+    timer.unref();
+
+    return { subscribe, publish, sendTo, send: deliver, count, full, issueTicket, redeemTicket };
+}
+
+module.exports = { createLiveEvents };
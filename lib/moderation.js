@@ -0,0 +1,114 @@
+// ==========================================
+// Player Moderation
+// ==========================================
+// db.sanctions maps a player to their active sanctions:
+//   { ban, shadowBan, nameLock } each { reason, by, createdAt, expiresAt }
+// expiresAt null means until lifted. Expired sanctions are ignored on read
+// and dropped the next time the player's record is written.
+//   ban        - player routes (heartbeat, game, submit) answer 403
+//   shadowBan  - hidden from everyone else's leaderboards, sees own score
+//   nameLock   - display name was reset by an admin and can't be changed
+// Every action, including score edits done by the caller, is appended to
+// the `moderationLog` with its reason.
+
+const KINDS = ['ban', 'shadowBan', 'nameLock'];
+
+// Reads { expiresAt } (ms or ISO date) or { duration } (seconds) from a body.
+// Returns { expiresAt } with null for permanent, or { error, field }.
+function parseExpiry({ expiresAt, duration } = {}) {
+    if (duration !== undefined && duration !== null) {
+        const seconds = Number(duration);
+        if (!(seconds > 0)) return { error: 'Invalid duration', field: 'duration' };
+        return { expiresAt: Date.now() + seconds * 1000 };
+    }
+    if (expiresAt === undefined || expiresAt === null) return { expiresAt: null };
+    const ms = typeof expiresAt === 'number' ? expiresAt : Date.parse(expiresAt);
+    if (!Number.isFinite(ms) || ms <= Date.now()) return { error: 'Invalid expiresAt', field: 'expiresAt' };
+    return { expiresAt: ms };
+}
+
+function createModeration({ db, addActivity }) {
+    const isLive = s => Boolean(s) && (!s.expiresAt || s.expiresAt > Date.now());
+
+    function active(odairy, kind) {
+        const s = db.sanctions.get(odairy)?.[kind];
+        return isLive(s) ? s : null;
+    }
+
+    // All live sanctions for a player: { ban, shadowBan, nameLock } (null when not set)
+    function status(odairy) {
+        return Object.fromEntries(KINDS.map(kind => [kind, active(odairy, kind)]));
+    }
+
+    function record(action, odairy, { reason, by, expiresAt = null, details } = {}) {
+        const entry = { action, odairy, reason, by, expiresAt, ...(details && { details }), timestamp: Date.now() };
+        db.append('moderationLog', entry);
+        addActivity('moderation', { action, odairy, by });
+        return entry;
+    }
+
+    function write(odairy, kind, value) {
+        const current = db.sanctions.get(odairy) || {};
+        const next = {};
+        for (const k of KINDS) {
+            const s = k === kind ? value : current[k];
+            if (isLive(s)) next[k] = s;
+        }
+        if (Object.keys(next).length) {
+            db.sanctions.set(odairy, next);
+            db.save('sanctions', odairy);
+        } else if (db.sanctions.has(odairy)) {
+            db.remove('sanctions', odairy);
+        }
+    }
+
+    // Returns { ok, sanction } or { error, status }
+    function impose(kind, odairy, { reason, by, expiresAt = null, details }) {
+        if (!KINDS.includes(kind)) return { error: 'Invalid sanction', status: 400, field: 'sanction' };
+        if (!reason) return { error: 'Reason required', status: 400, field: 'reason' };
+        const sanction = { reason, by, createdAt: Date.now(), expiresAt };
+        db.transaction(() => {
+            write(odairy, kind, sanction);
+            record(kind, odairy, { reason, by, expiresAt, details });
+        });
+        return { ok: true, sanction };
+    }
+
+    function lift(kind, odairy, { reason, by }) {
+        if (!KINDS.includes(kind)) return { error: 'Invalid sanction', status: 400, field: 'sanction' };
+        if (!reason) return { error: 'Reason required', status: 400, field: 'reason' };
+        if (!active(odairy, kind)) return { error: 'Not active', status: 404 };
+        db.transaction(() => {
+            write(odairy, kind, null);
+            record(`lift_${kind}`, odairy, { reason, by });
+        });
+        return { ok: true };
+    }
+
+    // Shadow-banned players to hide from viewerId's boards (everyone but themselves)
+    function hiddenFrom(viewerId) {
+        const ids = new Set();
+        for (const odairy of db.sanctions.keys()) {
+            if (odairy !== viewerId && active(odairy, 'shadowBan')) ids.add(odairy);
+        }
+        return ids;
+    }
+
+    // Banned or shadow-banned players don't place in season results
+    function isRestricted(odairy) {
+        return Boolean(active(odairy, 'ban') || active(odairy, 'shadowBan'));
+    }
+
+    function history(odairy, limit = 100) {
+        return db.readLog('moderationLog', { odairy, limit }).reverse();
+    }
+
+    return {
+        status, impose, lift, record, hiddenFrom, isRestricted, history,
+        isBanned: odairy => active(odairy, 'ban'),
+        isShadowBanned: odairy => active(odairy, 'shadowBan'),
+        nameLock: odairy => active(odairy, 'nameLock')
+    };
+}
+
+module.exports = { createModeration, parseExpiry, KINDS };
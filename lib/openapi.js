@@ -0,0 +1,134 @@
+// ==========================================
+// OpenAPI
+// ==========================================
+// Builds an OpenAPI 3.0 document from the routes registered on the Express
+// app: each route's spec() middleware (lib/schema.js) gives the summary,
+// parameters, body and response; the other middleware on the route tells
+// which credentials it takes (`security`: [[middleware, schemeName, optional]]),
+// the admin role it needs and whether it is rate limited. Routes without a
+// spec are listed with their path parameters only. Tags come from the path
+// (/api/admin/... -> admin).
+
+const ERROR = { $ref: '#/components/schemas/Error' };
+const VALIDATION_ERROR = { $ref: '#/components/schemas/ValidationError' };
+
+const json = schema => ({ 'application/json': { schema } });
+
+// '/api/friends/:odairy' -> '/api/friends/{odairy}'
+const toOpenApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+function tagOf(path) {
+    const [, first] = path.split('/').filter(Boolean);
+    return first || 'misc';
+}
+
+// Path params in path order (undescribed ones as strings), query params as declared
+function parameters(where, schema, pathNames) {
+    const props = schema?.properties || {};
+    const required = new Set(schema?.required || []);
+    const names = where === 'path' ? pathNames : Object.keys(props);
+    return names.map(name => {
+        const { description, ...rest } = props[name] || { type: 'string' };
+        return {
+            name, in: where, required: where === 'path' || required.has(name),
+            ...(description && { description }), schema: rest
+        };
+    });
+}
+
+// 400s all have the ValidationError shape (see sendInvalid in lib/schema.js),
+// other errors the Error one. A status documented twice (e.g. the limiter's
+// 429 and a handler's own) keeps both descriptions.
+function addResponse(op, status, description) {
+    const existing = op.responses[status];
+    op.responses[status] = {
+        description: existing ? `${existing.description}; ${description}` : description,
+        content: json(Number(status) === 400 ? VALIDATION_ERROR : ERROR)
+    };
+}
+
+function operation(route, security) {
+    const handles = route.stack.map(layer => layer.handle);
+    const s = handles.find(h => h.apiSpec)?.apiSpec || {};
+    const pathNames = (route.path.match(/:(\w+)/g) || []).map(n => n.slice(1));
+
+    const op = { tags: [tagOf(route.path)], ...(s.summary && { summary: s.summary }), ...(s.description && { description: s.description }) };
+    const params = [...parameters('path', s.params, pathNames), ...parameters('query', s.query)];
+    if (params.length) op.parameters = params;
+    if (s.body) op.requestBody = { required: true, content: json(s.body) };
+
+    // produces: other content types for the 200 body, e.g. text/csv
+    const produces = s.produces || ['application/json'];
+    const content = Object.fromEntries(produces.map(type => [
+        type, { schema: type === 'application/json' ? s.response || { type: 'object' } : { type: 'string' } }
+    ]));
+    op.responses = { 200: { description: 'OK', content } };
+    if (s.params || s.query || s.body) addResponse(op, 400, 'Invalid request');
+    for (const [status, description] of Object.entries(s.errors || {})) addResponse(op, status, description);
+
+    const auth = security.filter(([mw]) => handles.includes(mw));
+    if (auth.length) {
+        op.security = auth.map(([, name]) => ({ [name]: [] }));
+        if (auth.some(([, , optional]) => optional)) op.security.push({});
+        else addResponse(op, 401, 'Missing or invalid credentials');
+    }
+    const role = handles.find(h => h.requiredRole)?.requiredRole;
+    if (role) {
+        addResponse(op, 403, `Needs the ${role} role`);
+        op['x-required-role'] = role;
+    }
+    if (handles.some(h => h.rateLimitGroup)) addResponse(op, 429, 'Too many requests');
+    return op;
+}
+
+// app: the Express app, after every route is registered
+function buildOpenApi(app, { info, servers = [], security = [], securitySchemes = {}, schemas = {} }) {
+    const paths = {};
+    for (const layer of app._router.stack) {
+        const route = layer.route;
+        if (!route || typeof route.path !== 'string') continue;
+        const path = toOpenApiPath(route.path);
+        paths[path] = paths[path] || {};
+        for (const method of Object.keys(route.methods)) {
+            if (method === '_all') continue;
+            paths[path][method] = operation(route, security);
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info,
+        ...(servers.length && { servers }),
+        paths,
+        components: {
+            securitySchemes,
+            schemas: {
+                Error: {
+                    type: 'object', required: ['error'],
+                    properties: { error: { type: 'string' }, reason: { type: 'string' } }
+                },
+                ValidationError: {
+                    type: 'object', required: ['error', 'errors'],
+                    properties: {
+                        error: { type: 'string', example: 'Invalid request', description: "'Invalid request' from schema checks, else the handler's message" },
+                        reason: { type: 'string', description: 'Machine-readable cause, on some routes' },
+                        errors: {
+                            type: 'array',
+                            items: {
+                                type: 'object', required: ['in', 'field', 'message'],
+                                properties: {
+                                    in: { type: 'string', enum: ['path', 'query', 'body'] },
+                                    field: { type: 'string', example: 'score' },
+                                    message: { type: 'string', example: 'must be an integer' }
+                                }
+                            }
+                        }
+                    }
+                },
+                ...schemas
+            }
+        }
+    };
+}
+
+module.exports = { buildOpenApi, toOpenApiPath };
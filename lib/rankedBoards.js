@@ -0,0 +1,290 @@
+// ==========================================
+// Ranked Boards
+// ==========================================
+// Every player's best score on every board, one record per player per board
+// in db.leaderboardEntries (key `${boardId}|${odairy}`). Board ids are
+// 'alltime' or `${period}:${seasonKey}` (e.g. 'weekly:2026-W43'), prefixed
+// with `${mode}/` for game modes other than classic ('timed/alltime').
+//
+// In memory each board is an array kept sorted by score (desc), then by
+// achievedAt (asc: whoever reached the score first wins the tie), then by id,
+// plus an id -> entry index. That order is total, so binary search finds any
+// entry's position, and ranks, pages and "around me" windows never scan the
+// whole board. Arrays returned by entries() are live - don't mutate them.
+//
+// `exclude` (a Set of ids) hides players from ranks and pages, e.g. the
+// shadow-banned players the viewer shouldn't see.
+
+const NONE = new Set();
+
+function compareEntries(a, b) {
+    return b.score - a.score || a.achievedAt - b.achievedAt || (a.odairy < b.odairy ? -1 : a.odairy > b.odairy ? 1 : 0);
+}
+
+// Index of the first entry not ordered before `probe`
+function lowerBound(entries, probe) {
+    let lo = 0, hi = entries.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (compareEntries(entries[mid], probe) < 0) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// Opaque page cursor: the last entry's sort key
+function encodeCursor(e) {
+    return Buffer.from(JSON.stringify([e.score, e.achievedAt, e.odairy])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [score, achievedAt, odairy] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (typeof score !== 'number' || typeof achievedAt !== 'number' || typeof odairy !== 'string') return null;
+        return { score, achievedAt, odairy };
+    } catch (e) {
+        return null;
+    }
+}
+
+function createRankedBoards({ db }) {
+    const boards = new Map(); // boardId -> { entries, byId }
+    const recordKey = (boardId, odairy) => `${boardId}|${odairy}`;
+
+    function board(boardId, create = false) {
+        let b = boards.get(boardId);
+        if (!b && create) {
+            b = { entries: [], byId: new Map() };
+            boards.set(boardId, b);
+        }
+        return b;
+    }
+
+    // Rebuilds the in-memory boards from storage
+    function load() {
+        boards.clear();
+        for (const e of db.leaderboardEntries.values()) {
+            const b = board(e.board, true);
+            b.entries.push(e);
+            b.byId.set(e.odairy, e);
+        }
+        for (const b of boards.values()) b.entries.sort(compareEntries);
+    }
+
+    // Moves boards older versions stored as capped arrays (one record per
+    // season in daily/weekly/monthlyLeaderboard, allTimeLeaderboard in meta)
+    // into per-entry records. Legacy entries have no achievedAt; lastUpdated
+    // stands in when present. Returns how many entries were moved.
+    function importLegacy() {
+        const sources = [];
+        for (const period of ['daily', 'weekly', 'monthly']) {
+            const name = `${period}Leaderboard`;
+            for (const [key, list] of Object.entries(db[name])) {
+                sources.push({ boardId: `${period}:${key}`, list, drop: () => db.remove(name, key) });
+            }
+        }
+        if (db.allTimeLeaderboard.length) {
+            sources.push({ boardId: 'alltime', list: db.allTimeLeaderboard, drop: () => { db.allTimeLeaderboard = []; db.save('allTimeLeaderboard'); } });
+        }
+        if (!sources.length) return 0;
+
+        let moved = 0;
+        db.transaction(() => {
+            for (const { boardId, list, drop } of sources) {
+                for (const e of list || []) {
+                    const key = recordKey(boardId, e.odairy);
+                    if (db.leaderboardEntries.has(key)) continue;
+                    db.leaderboardEntries.set(key, { ...e, board: boardId, achievedAt: e.achievedAt ?? e.lastUpdated ?? 0 });
+                    db.save('leaderboardEntries', key);
+                    moved++;
+                }
+                drop();
+            }
+        });
+        load();
+        return moved;
+    }
+
+    function save(e) {
+        db.save('leaderboardEntries', recordKey(e.board, e.odairy));
+    }
+
+    // Records a score; only a higher score moves the entry (and resets
+    // achievedAt). fields (username, avatar, ...) are always updated.
+    // Returns { entry, previous, improved, position }
+    function submit(boardId, odairy, score, fields = {}) {
+        const b = board(boardId, true);
+        const now = Date.now();
+        let e = b.byId.get(odairy);
+        const previous = e ? e.score : null;
+        const improved = !e || score > e.score;
+
+        if (!e) {
+            e = { board: boardId, odairy, score, achievedAt: now };
+            b.byId.set(odairy, e);
+            db.leaderboardEntries.set(recordKey(boardId, odairy), e);
+        } else if (improved) {
+            b.entries.splice(lowerBound(b.entries, e), 1);
+            e.score = score;
+            e.achievedAt = now;
+        }
+        Object.assign(e, fields, { lastUpdated: now });
+
+        const position = lowerBound(b.entries, e);
+        if (improved) b.entries.splice(position, 0, e);
+        save(e);
+        return { entry: e, previous, improved, position };
+    }
+
+    // Admin correction: moves the entry, keeps when it was achieved
+    function setScore(boardId, odairy, score) {
+        const b = board(boardId);
+        const e = b?.byId.get(odairy);
+        if (!e) return null;
+        b.entries.splice(lowerBound(b.entries, e), 1);
+        e.score = score;
+        b.entries.splice(lowerBound(b.entries, e), 0, e);
+        save(e);
+        return e;
+    }
+
+    // Non-ranking fields only (username, avatar, ...)
+    function patch(boardId, odairy, fields) {
+        const e = board(boardId)?.byId.get(odairy);
+        if (!e) return null;
+        Object.assign(e, fields);
+        save(e);
+        return e;
+    }
+
+    function remove(boardId, odairy) {
+        const b = board(boardId);
+        const e = b?.byId.get(odairy);
+        if (!e) return null;
+        b.entries.splice(lowerBound(b.entries, e), 1);
+        b.byId.delete(odairy);
+        db.remove('leaderboardEntries', recordKey(boardId, odairy));
+        return e;
+    }
+
+    function clear(boardId) {
+        const b = board(boardId);
+        if (!b) return;
+        db.transaction(() => {
+            for (const odairy of b.byId.keys()) db.remove('leaderboardEntries', recordKey(boardId, odairy));
+        });
+        boards.delete(boardId);
+    }
+
+    // Positions of excluded players on the board, ascending
+    function hiddenPositions(b, exclude) {
+        const out = [];
+        for (const id of exclude) {
+            const e = b.byId.get(id);
+            if (e) out.push(lowerBound(b.entries, e));
+        }
+        return out.sort((x, y) => x - y);
+    }
+
+    // Players on the board, excluded ones left out
+    function count(boardId, exclude = NONE) {
+        const b = board(boardId);
+        return b ? b.entries.length - hiddenPositions(b, exclude).length : 0;
+    }
+
+    // { rank, total, percentile } - percentile is the share of players at or
+    // below this rank, so #1 is 100. null when the player has no entry.
+    function rank(boardId, odairy, exclude = NONE) {
+        const b = board(boardId);
+        const e = b?.byId.get(odairy);
+        if (!e) return null;
+        const position = lowerBound(b.entries, e);
+        const hidden = hiddenPositions(b, exclude);
+        const total = b.entries.length - hidden.length;
+        const r = position + 1 - hidden.filter(p => p < position).length;
+        return { rank: r, total, percentile: Math.round(((total - r + 1) / total) * 1000) / 10 };
+    }
+
+    // Collects up to `limit` visible entries walking from index `start` by `step`
+    function walk(b, start, step, limit, hidden) {
+        const out = [];
+        const skip = new Set(hidden);
+        for (let i = start; i >= 0 && i < b.entries.length && out.length < limit; i += step) {
+            if (!skip.has(i)) out.push(i);
+        }
+        return out;
+    }
+
+    const withRank = (b, hidden) => i => {
+        const { board: _, ...e } = b.entries[i];
+        return { ...e, rank: i + 1 - hidden.filter(p => p < i).length };
+    };
+
+    // One page, by visible offset or after a cursor.
+    // Returns { entries (with rank), total, nextCursor } or null for a bad cursor.
+    function page(boardId, { offset = 0, limit = 100, cursor = null, exclude = NONE } = {}) {
+        const b = board(boardId);
+        if (!b) return { entries: [], total: 0, nextCursor: null };
+        const hidden = hiddenPositions(b, exclude);
+
+        let start;
+        if (cursor) {
+            const after = decodeCursor(cursor);
+            if (!after) return null;
+            start = lowerBound(b.entries, after);
+            if (b.entries[start] && compareEntries(b.entries[start], after) === 0) start++;
+        } else {
+            // Visible offset -> array index
+            start = offset;
+            for (const p of hidden) {
+                if (p <= start) start++;
+                else break;
+            }
+        }
+
+        const indexes = walk(b, start, 1, limit + 1, hidden);
+        const more = indexes.length > limit;
+        const entries = indexes.slice(0, limit).map(withRank(b, hidden));
+        return {
+            entries,
+            total: b.entries.length - hidden.length,
+            nextCursor: more ? encodeCursor(entries[entries.length - 1]) : null
+        };
+    }
+
+    // `size` visible players above and below odairy, the player included
+    function around(boardId, odairy, size, exclude = NONE) {
+        const b = board(boardId);
+        const e = b?.byId.get(odairy);
+        if (!e) return null;
+        const position = lowerBound(b.entries, e);
+        const hidden = hiddenPositions(b, exclude);
+        const above = walk(b, position - 1, -1, size, hidden).reverse();
+        const below = walk(b, position + 1, 1, size, hidden);
+        return [...above, position, ...below].map(withRank(b, hidden));
+    }
+
+    function top(boardId, n, exclude = NONE) {
+        return page(boardId, { limit: n, exclude }).entries;
+    }
+
+    // Ids of every board the player has an entry on
+    function boardsOf(odairy) {
+        return Array.from(boards.keys()).filter(id => boards.get(id).byId.has(odairy));
+    }
+
+    function seasonKeys(period) {
+        const prefix = `${period}:`;
+        return Array.from(boards.keys()).filter(id => id.startsWith(prefix)).map(id => id.slice(prefix.length));
+    }
+
+    return {
+        load, importLegacy, submit, setScore, patch, remove, clear, count, rank, page, around, top, boardsOf, seasonKeys,
+        entries: boardId => board(boardId)?.entries || [],
+        get: (boardId, odairy) => board(boardId)?.byId.get(odairy) || null,
+        has: boardId => boards.has(boardId),
+        size: boardId => board(boardId)?.entries.length || 0
+    };
+}
+
+module.exports = { createRankedBoards, compareEntries, encodeCursor, decodeCursor };
@@ -0,0 +1,103 @@
+// ==========================================
+// Rate Limiting
+// ==========================================
+// Fixed-window counters per route group. Requests are keyed by the verified
+// player id when an auth middleware ran before the limiter (req.odairy) and by
+// IP otherwise, so put limit(group) after playerAuth/optionalPlayerAuth.
+//
+// A store only needs hit(key, windowMs) -> { count, resetAt } (or a promise of
+// it), so the in-memory store can be swapped for a shared one when running
+// more than one instance.
+
+function createMemoryStore() {
+    const windows = new Map(); // key -> { count, resetAt }
+
+    function hit(key, windowMs) {
+        const now = Date.now();
+        let w = windows.get(key);
+        if (!w || w.resetAt <= now) {
+            w = { count: 0, resetAt: now + windowMs };
+            windows.set(key, w);
+        }
+        w.count++;
+        return { count: w.count, resetAt: w.resetAt };
+    }
+
+    function cleanup() {
+        const now = Date.now();
+        for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+    }
+
+    const timer = setInterval(cleanup, 60000);
+    timer.unref();
+
+    return { hit, cleanup, size: () => windows.size };
+}
+
+// groups: { name: { limit, windowMs } }
+function createRateLimiter({ groups, store = createMemoryStore() }) {
+    const offenders = new Map(); // `${group}|${identity}` -> { group, identity, rejected, firstAt, lastAt }
+
+    function identify(req) {
+        return req.odairy ? `user:${req.odairy}` : `ip:${req.ip}`;
+    }
+
+    function recordOffense(group, identity) {
+        const key = `${group}|${identity}`;
+        const now = Date.now();
+        const o = offenders.get(key) || { group, identity, rejected: 0, firstAt: now };
+        o.rejected++;
+        o.lastAt = now;
+        offenders.set(key, o);
+    }
+
+    function limit(group) {
+        const config = groups[group];
+        if (!config) throw new Error(`Unknown rate limit group: ${group}`);
+        const middleware = (req, res, next) => {
+            const identity = identify(req);
+            // The error handler only covers the store: once next() has run, a
+            // throw further down the chain must not call next() again
+            new Promise(resolve => resolve(store.hit(`${group}:${identity}`, config.windowMs))).then(({ count, resetAt }) => {
+                const remaining = Math.max(0, config.limit - count);
+                res.set('RateLimit-Limit', String(config.limit));
+                res.set('RateLimit-Remaining', String(remaining));
+                if (count <= config.limit) return next();
+
+                const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+                recordOffense(group, identity);
+                res.set('Retry-After', String(retryAfter));
+                res.status(429).json({ error: 'Too many requests', group, retryAfter });
+            }, e => {
+                // A broken store shouldn't take the API down with it
+                console.error('[RateLimit] Store error:', e.message);
+                next();
+            }).catch(e => console.error('[RateLimit] Error after the limiter:', e));
+        };
+        // Lets lib/openapi.js document the 429 response
+        middleware.rateLimitGroup = group;
+        return middleware;
+    }
+
+    function topOffenders(n = 10, since = 0) {
+        return Array.from(offenders.values())
+            .filter(o => o.lastAt >= since)
+            .sort((a, b) => b.rejected - a.rejected)
+            .slice(0, n);
+    }
+
+    function clearOffenders() {
+        offenders.clear();
+    }
+
+    // Offenders are kept for a day after their last rejection
+    const timer = setInterval(() => {
+        const cutoff = Date.now() - 86400000;
+        for (const [key, o] of offenders) if (o.lastAt < cutoff) offenders.delete(key);
+    }, 3600000);
+    timer.unref();
+
+    return { limit, topOffenders, clearOffenders, groups };
+}
+
+module.exports = { createRateLimiter, createMemoryStore };
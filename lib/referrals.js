@@ -0,0 +1,96 @@
+// ==========================================
+// Referrals
+// ==========================================
+// db.referrals maps each referred user to their first valid referrer:
+//   { refereeId, referrerId, source, createdAt, milestones: { name: reachedAt }, earned: { referrer, referee } }
+// A referral only counts for users who are new: unknown to db.users, or first
+// seen within `attributionWindow` ms (the WebApp usually heartbeats before it
+// reports the referral). Rewards are paid once per milestone per referral.
+// onAttributed(referral) runs inside the attribution transaction.
+
+function createReferrals({ db, wallet, friendGraph, rewards, attributionWindow, addActivity, onAttributed }) {
+    function isNewUser(odairy) {
+        const u = db.users.get(odairy);
+        return !u || Date.now() - (u.firstSeen || 0) <= attributionWindow;
+    }
+
+    // Returns { ok: true, referral } or { error, status }
+    function attribute(referrerId, refereeId, source) {
+        referrerId = referrerId && String(referrerId);
+        refereeId = String(refereeId);
+        if (!referrerId || referrerId === refereeId) return { error: 'Cannot refer yourself', status: 400, field: 'referrerId' };
+        if (db.referrals.has(refereeId)) return { error: 'Already referred', status: 409 };
+        if (!db.users.has(referrerId)) return { error: 'Unknown referrer', status: 404 };
+        if (!isNewUser(refereeId)) return { error: 'Only new players can be referred', status: 409 };
+
+        const referral = {
+            refereeId, referrerId, source, createdAt: Date.now(),
+            milestones: {}, earned: { referrer: 0, referee: 0 }
+        };
+        db.transaction(() => {
+            db.referrals.set(refereeId, referral);
+            db.save('referrals', refereeId);
+            friendGraph.connect(referrerId, refereeId);
+            addActivity('referral', { referrerId, newUserId: refereeId, source });
+            onAttributed?.(referral);
+        });
+        return { ok: true, referral };
+    }
+
+    // Call when a player does something that may be a milestone
+    function reachMilestone(refereeId, milestone) {
+        const referral = db.referrals.get(refereeId);
+        if (!referral || referral.milestones[milestone]) return null;
+
+        const reward = rewards.find(r => r.milestone === milestone);
+        db.transaction(() => {
+            referral.milestones[milestone] = Date.now();
+            if (reward?.referrer) {
+                wallet.credit(referral.referrerId, reward.referrer, 'referral_reward', `referral:${refereeId}:${milestone}`);
+                referral.earned.referrer += reward.referrer;
+            }
+            if (reward?.referee) {
+                wallet.credit(refereeId, reward.referee, 'referral_reward', `referral:${refereeId}:${milestone}`);
+                referral.earned.referee += reward.referee;
+            }
+            db.save('referrals', refereeId);
+            if (reward) addActivity('referral_reward', { referrerId: referral.referrerId, refereeId, milestone });
+        });
+        return reward || null;
+    }
+
+    function referredBy(odairy) {
+        return db.referrals.get(odairy) || null;
+    }
+
+    function referralsOf(referrerId) {
+        return Array.from(db.referrals.values()).filter(r => r.referrerId === referrerId);
+    }
+
+    function summarize(list) {
+        return {
+            count: list.length,
+            qualified: list.filter(r => Object.keys(r.milestones).length > 0).length,
+            earnings: list.reduce((sum, r) => sum + r.earned.referrer, 0)
+        };
+    }
+
+    function statsFor(referrerId) {
+        return { ...summarize(referralsOf(referrerId)), referredBy: referredBy(referrerId)?.referrerId || null };
+    }
+
+    function topReferrers(limit = 20, sortBy = 'count') {
+        const byReferrer = new Map();
+        for (const r of db.referrals.values()) {
+            if (!byReferrer.has(r.referrerId)) byReferrer.set(r.referrerId, []);
+            byReferrer.get(r.referrerId).push(r);
+        }
+        return Array.from(byReferrer, ([odairy, list]) => ({ odairy, ...summarize(list) }))
+            .sort((a, b) => b[sortBy] - a[sortBy] || b.count - a.count)
+            .slice(0, limit);
+    }
+
+    return { attribute, reachMilestone, referredBy, referralsOf, statsFor, topReferrers };
+}
+
+module.exports = { createReferrals };
@@ -0,0 +1,167 @@
+// ==========================================
+// Request Schemas
+// ==========================================
+// Routes declare their inputs and output with spec({ ... }), placed right
+// before the handler:
+//   spec({ summary, description, params, query, body, response, errors, produces })
+// params/query/body are object schemas (a JSON Schema subset that is also
+// valid OpenAPI 3.0); response documents the 200 body and isn't checked,
+// errors maps other statuses the handler answers to a description, and
+// produces lists the 200 content types when it isn't only JSON.
+// The middleware answers 400 when the request doesn't match:
+//   { error: 'Invalid request', errors: [{ in: 'body', field: 'score', message: 'must be an integer' }] }
+// and carries the spec for lib/openapi.js. Handlers answer their own 400s
+// (checks a schema can't express, and modules' { error, status: 400, field }
+// results) in the same shape with sendInvalid/sendError, with the specific
+// message as `error`.
+//
+// Query strings and path params arrive as text, so there integer, number and
+// boolean check the text ('12', 'true') rather than the JSON type. Handlers
+// still convert the values themselves.
+//
+// Supported keywords: type, nullable, enum, minimum, maximum, minLength,
+// maxLength, pattern, properties, required, additionalProperties (false
+// rejects unknown fields; unknown fields are allowed by default), items,
+// minItems, maxItems, anyOf, allOf. description, example, format and $ref are
+// for docs only.
+
+const MAX_ERRORS = 20;
+
+// Schema builders - t.integer({ minimum: 0 }), t.object({ score: ... }, ['score'])
+const t = {
+    string: (opts = {}) => ({ type: 'string', ...opts }),
+    integer: (opts = {}) => ({ type: 'integer', ...opts }),
+    number: (opts = {}) => ({ type: 'number', ...opts }),
+    boolean: (opts = {}) => ({ type: 'boolean', ...opts }),
+    enum: (values, opts = {}) => ({ type: 'string', enum: values, ...opts }),
+    array: (items, opts = {}) => ({ type: 'array', items, ...opts }),
+    object: (properties = {}, required = [], opts = {}) => ({
+        type: 'object', properties, ...(required.length && { required }), ...opts
+    }),
+    nullable: schema => ({ ...schema, nullable: true }),
+    anyOf: (...schemas) => ({ anyOf: schemas }),
+    allOf: (...schemas) => ({ allOf: schemas }),
+    ref: name => ({ $ref: `#/components/schemas/${name}` }),
+    // Any JSON value (documented, not checked)
+    any: (opts = {}) => ({ ...opts })
+};
+
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Value as the schema's type, or undefined when it isn't one. text: the value
+// came from a query string or path.
+function asType(type, value, text) {
+    switch (type) {
+        case 'string': return typeof value === 'string' ? value : undefined;
+        case 'integer':
+            if (text) return typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : undefined;
+            return Number.isInteger(value) ? value : undefined;
+        case 'number':
+            if (text) return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : undefined;
+            return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+        case 'boolean':
+            if (text) return value === 'true' ? true : value === 'false' ? false : undefined;
+            return typeof value === 'boolean' ? value : undefined;
+        case 'object': return isPlainObject(value) ? value : undefined;
+        case 'array': return Array.isArray(value) ? value : undefined;
+        default: return value;
+    }
+}
+
+const TYPE_NAMES = { integer: 'an integer', array: 'an array', object: 'an object' };
+
+// Appends { field, message } for each problem with value. Returns errors.
+function check(schema, value, field, errors, text = false) {
+    if (errors.length >= MAX_ERRORS || !schema) return errors;
+    const fail = message => errors.push({ field, message });
+
+    if (value === null && schema.nullable) return errors;
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(s => !check(s, value, field, [], text).length);
+        if (!matches) fail('does not match any allowed shape');
+        return errors;
+    }
+    if (schema.allOf) {
+        for (const s of schema.allOf) check(s, value, field, errors, text);
+        return errors;
+    }
+    if (schema.type) {
+        const typed = asType(schema.type, value, text);
+        if (typed === undefined) {
+            fail(`must be ${TYPE_NAMES[schema.type] || `a ${schema.type}`}`);
+            return errors;
+        }
+        value = typed;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) fail(`must be one of: ${schema.enum.join(', ')}`);
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) fail('has an invalid format');
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items) value.forEach((v, i) => check(schema.items, v, `${field}[${i}]`, errors, text));
+    }
+    if (isPlainObject(value)) {
+        const props = schema.properties || {};
+        const at = key => (field ? `${field}.${key}` : key);
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === '') errors.push({ field: at(key), message: 'is required' });
+        }
+        for (const [key, v] of Object.entries(value)) {
+            if (props[key]) {
+                if (v !== undefined) check(props[key], v, at(key), errors, text);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: at(key), message: 'is not allowed' });
+            } else if (isPlainObject(schema.additionalProperties)) {
+                check(schema.additionalProperties, v, at(key), errors, text);
+            }
+        }
+    }
+    return errors.slice(0, MAX_ERRORS);
+}
+
+// Returns [{ in, field, message }] - empty when the request is valid
+function validateRequest(s, req) {
+    const errors = [];
+    const add = (where, list) => errors.push(...list.map(e => ({ in: where, ...e })));
+    if (s.params) add('path', check(s.params, req.params, '', [], true));
+    if (s.query) add('query', check(s.query, req.query, '', [], true));
+    if (s.body) add('body', check(s.body, req.body ?? {}, '', []));
+    return errors.slice(0, MAX_ERRORS);
+}
+
+function spec(s) {
+    const middleware = (req, res, next) => {
+        const errors = validateRequest(s, req);
+        if (!errors.length) return next();
+        res.status(400).json({ error: 'Invalid request', errors });
+    };
+    middleware.apiSpec = s;
+    return middleware;
+}
+
+function sendInvalid(res, where, field, message, extra = {}) {
+    return res.status(400).json({ error: message, errors: [{ in: where, field, message }], ...extra });
+}
+
+// Answers a module's { error, status } result. A 400 names the request field
+// it is about (`field`, else the result's own), found in the path, the query
+// or else the body.
+function sendError(req, res, result, field = result.field) {
+    if (result.status !== 400) return res.status(result.status).json({ error: result.error });
+    const name = String(field).split('.')[0];
+    const where = req.params && name in req.params ? 'path' : name in req.query ? 'query' : 'body';
+    return sendInvalid(res, where, field, result.error);
+}
+
+module.exports = { t, spec, check, validateRequest, sendInvalid, sendError };
@@ -0,0 +1,128 @@
+// ==========================================
+// Season Calendar
+// ==========================================
+// The one place that turns instants into season keys and back, in the
+// operator's timezone (SEASON_TZ, an IANA name such as 'Europe/Berlin').
+//
+//   daily    2026-01-31   midnight to midnight
+//   weekly   2026-W05     ISO week (Monday start, ISO week-year)
+//   monthly  2026-01      first of the month to first of the next
+//
+// Calendar arithmetic is done on plain Y/M/D values in UTC and only converted
+// to real instants at the edges, so the server's own timezone never matters.
+
+const PERIODS = ['daily', 'weekly', 'monthly'];
+const DAY_MS = 86400000;
+
+const pad = (n, len = 2) => String(n).padStart(len, '0');
+
+function createSeasonCalendar({ timeZone = 'UTC' } = {}) {
+    const fmt = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+
+    // Wall-clock parts of an instant in the season timezone
+    function zoned(date) {
+        const p = {};
+        for (const { type, value } of fmt.formatToParts(date)) p[type] = Number(value);
+        return p;
+    }
+
+    function offsetAt(ms) {
+        const p = zoned(new Date(ms));
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+    }
+
+    // Instant of local midnight on y-m-d. Re-checks the offset once so a DST
+    // change between the guess and the answer is accounted for.
+    function midnight(year, month, day) {
+        const wall = Date.UTC(year, month - 1, day);
+        let ms = wall - offsetAt(wall);
+        ms = wall - offsetAt(ms);
+        return new Date(ms);
+    }
+
+    // ISO week-year and week of a calendar date
+    function isoWeek(year, month, day) {
+        const d = new Date(Date.UTC(year, month - 1, day));
+        const dayNum = d.getUTCDay() || 7;
+        d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+        const weekYear = d.getUTCFullYear();
+        const week = Math.ceil(((d - Date.UTC(weekYear, 0, 1)) / DAY_MS + 1) / 7);
+        return { weekYear, week };
+    }
+
+    // Key of the season holding a calendar date
+    function keyOfDay(period, year, month, day) {
+        switch (period) {
+            case 'daily': return `${year}-${pad(month)}-${pad(day)}`;
+            case 'weekly': {
+                const { weekYear, week } = isoWeek(year, month, day);
+                return `${weekYear}-W${pad(week)}`;
+            }
+            case 'monthly': return `${year}-${pad(month)}`;
+            default: throw new Error(`Unknown season period: ${period}`);
+        }
+    }
+
+    function key(period = 'weekly', date = new Date()) {
+        const { year, month, day } = zoned(date);
+        return keyOfDay(period, year, month, day);
+    }
+
+    // First calendar day of the season and of the next one, as UTC Y/M/D dates.
+    // Out-of-range keys (2026-W99, 2026-13, 2026-02-31) would roll over into
+    // another season, so the first day has to map back to the same key.
+    function span(period, seasonKey) {
+        const s = parseSpan(period, seasonKey);
+        const first = s && s[0];
+        if (!s || keyOfDay(period, first.getUTCFullYear(), first.getUTCMonth() + 1, first.getUTCDate()) !== seasonKey) return null;
+        return s;
+    }
+
+    function parseSpan(period, seasonKey) {
+        let m;
+        if (period === 'daily' && (m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(seasonKey))) {
+            const first = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+            return [first, new Date(first.getTime() + DAY_MS)];
+        }
+        if (period === 'weekly' && (m = /^(\d{4})-W(\d{2})$/.exec(seasonKey))) {
+            const jan4 = new Date(Date.UTC(+m[1], 0, 4));
+            const week1Monday = jan4.getTime() - ((jan4.getUTCDay() || 7) - 1) * DAY_MS;
+            const first = new Date(week1Monday + (+m[2] - 1) * 7 * DAY_MS);
+            return [first, new Date(first.getTime() + 7 * DAY_MS)];
+        }
+        if (period === 'monthly' && (m = /^(\d{4})-(\d{2})$/.exec(seasonKey))) {
+            return [new Date(Date.UTC(+m[1], +m[2] - 1, 1)), new Date(Date.UTC(+m[1], +m[2], 1))];
+        }
+        return null;
+    }
+
+    // { start, end } instants (end inclusive, to the millisecond) or null for a bad key
+    function bounds(period, seasonKey) {
+        const s = span(period, seasonKey);
+        if (!s) return null;
+        const at = d => midnight(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+        return { start: at(s[0]), end: new Date(at(s[1]).getTime() - 1) };
+    }
+
+    function timeUntilReset(period = 'weekly', now = new Date()) {
+        return bounds(period, key(period, now)).end.getTime() + 1 - now.getTime();
+    }
+
+    // Everything a client needs to show one season
+    function describe(period = 'weekly', now = new Date()) {
+        const seasonKey = key(period, now);
+        const { start, end } = bounds(period, seasonKey);
+        return { period, key: seasonKey, start, end, timeUntilReset: end.getTime() + 1 - now.getTime() };
+    }
+
+    function isValidKey(period, seasonKey) {
+        return span(period, seasonKey) !== null;
+    }
+
+    return { timeZone, key, bounds, timeUntilReset, describe, isValidKey };
+}
+
+module.exports = { createSeasonCalendar, PERIODS };
@@ -0,0 +1,132 @@
+// ==========================================
+// Season Close-out
+// ==========================================
+// When a week ends its standings are frozen into `seasonResults`, rewards are
+// paid by rank and the top players are messaged. Every award and message is
+// marked in the stored result as it happens, so running close-out again (after
+// a crash, restart or from the admin endpoint) only finishes what is left.
+// Players failing `isEligible` (banned, shadow-banned) are left out of the standings.
+// `boardOf(week)` returns the week's ranked entries; the top `keepTop` are frozen.
+
+function createSeasonCloseout({ db, wallet, bot, rewards, notifyTop, webappUrl, addActivity, boardOf, keepTop = 100, isEligible = () => true }) {
+    const running = new Map(); // week -> promise, so overlapping runs share one
+
+    function rewardFor(rank) {
+        return rewards.find(r => rank >= r.ranks[0] && rank <= r.ranks[1]) || null;
+    }
+
+    function computeStandings(week) {
+        const standings = [];
+        for (const e of boardOf(week)) {
+            if (standings.length >= keepTop) break;
+            if (!isEligible(e.odairy)) continue;
+            standings.push({ rank: standings.length + 1, odairy: e.odairy, username: e.username, score: e.score });
+        }
+        return standings;
+    }
+
+    function computeAwards(standings) {
+        return standings.map(s => {
+            const reward = rewardFor(s.rank);
+            if (!reward) return null;
+            return { odairy: s.odairy, rank: s.rank, stars: reward.stars || 0, badge: reward.badge || null, paidAt: null };
+        }).filter(Boolean);
+    }
+
+    // What close-out would do, without writing anything
+    function preview(week) {
+        const existing = db.seasonResults.get(week);
+        if (existing) return { ...existing, preview: false };
+        const standings = computeStandings(week);
+        return { week, status: 'open', standings, awards: computeAwards(standings), preview: true };
+    }
+
+    // Freezes standings. Call inside the transaction that ends the season.
+    function freeze(week, { refreeze = false } = {}) {
+        const existing = db.seasonResults.get(week);
+        if (existing && !refreeze) return existing;
+        if (existing && existing.awards.some(a => a.paidAt)) {
+            throw new Error(`Season ${week} already paid out - cannot refreeze`);
+        }
+        const standings = computeStandings(week);
+        const result = {
+            week, status: 'frozen', frozenAt: Date.now(), completedAt: null,
+            standings, awards: computeAwards(standings), notified: {}
+        };
+        db.seasonResults.set(week, result);
+        db.save('seasonResults', week);
+        return result;
+    }
+
+    function payAward(result, award) {
+        db.transaction(() => {
+            if (award.stars) wallet.credit(award.odairy, award.stars, 'season_reward', `season:${result.week}`, { rank: award.rank });
+            const u = db.users.get(award.odairy);
+            if (award.badge && u) {
+                u.badges = u.badges || [];
+                if (!u.badges.some(b => b.id === award.badge && b.season === result.week)) {
+                    u.badges.push({ id: award.badge, season: result.week, rank: award.rank, awardedAt: Date.now() });
+                }
+                db.save('users', award.odairy);
+            }
+            award.paidAt = Date.now();
+            db.save('seasonResults', result.week);
+        });
+    }
+
+    function messageFor(result, s, award) {
+        const lines = [`🏆 Season ${result.week} is over!`, `You finished #${s.rank} with ${s.score} points.`];
+        const prize = [award?.stars && `${award.stars} ⭐ Stars`, award?.badge && `🏅 ${award.badge} badge`].filter(Boolean);
+        if (prize.length) lines.push(`Reward: ${prize.join(' + ')}`);
+        lines.push('', 'A new season has started - good luck!');
+        return lines.join('\n');
+    }
+
+    function closeOut(week, options) {
+        if (running.has(week)) return running.get(week);
+        const run = doCloseOut(week, options).finally(() => running.delete(week));
+        running.set(week, run);
+        return run;
+    }
+
+    async function doCloseOut(week, options) {
+        const result = db.transaction(() => freeze(week, options));
+
+        for (const award of result.awards) {
+            if (!award.paidAt) payAward(result, award);
+        }
+
+        for (const s of result.standings.slice(0, notifyTop)) {
+            if (result.notified[s.odairy]) continue;
+            const award = result.awards.find(a => a.odairy === s.odairy);
+            await bot.sendMessage(s.odairy, messageFor(result, s, award), {
+                reply_markup: { inline_keyboard: [[{ text: '🎮 Play Now', web_app: { url: webappUrl } }]] }
+            }).catch(e => console.error(`[Season] Notify ${s.odairy} failed:`, e.message));
+            // Marked even on failure (e.g. bot blocked) so re-runs don't spam
+            result.notified[s.odairy] = Date.now();
+            db.save('seasonResults', week);
+        }
+
+        if (result.status !== 'completed') {
+            result.status = 'completed';
+            result.completedAt = Date.now();
+            db.save('seasonResults', week);
+            addActivity('season_closed', { week, players: result.standings.length, awards: result.awards.length });
+            console.log(`[Season] Closed ${week}: ${result.standings.length} players, ${result.awards.length} awards`);
+        }
+        return result;
+    }
+
+    // Finishes close-outs interrupted by a crash or restart
+    function resumePending() {
+        for (const result of db.seasonResults.values()) {
+            if (result.status !== 'completed') {
+                closeOut(result.week).catch(e => console.error(`[Season] Resume ${result.week} failed:`, e.message));
+            }
+        }
+    }
+
+    return { preview, freeze, closeOut, resumePending };
+}
+
+module.exports = { createSeasonCloseout };
@@ -0,0 +1,35 @@
+// ==========================================
+// Storage
+// ==========================================
+// Persistence behind the in-memory `db` object (see lib/db.js). A driver is a
+// synchronous object with:
+//
+//   load({ logLimits, storeLimits }) -> { collections: { name: { key: value } }, logs: { name: [records] } }
+//                                   logLimits: records to return per log; storeLimits: records a
+//                                   driver may cap each log at (see LOGS in lib/db.js)
+//   put(collection, key, value)  upsert one record
+//   remove(collection, key)      delete one record
+//   clear(collection)            delete every record in a collection
+//   append(log, record)          add to an append-only log
+//   readLog(log, { since, limit, odairy }) -> records, oldest first (odairy: that player's only)
+//   clearLog(log)
+//   rewriteLog(log, fn)          fn(record) -> same record, a replacement, or null to drop
+//   transaction(fn)              run fn so its writes commit together
+//   flush(), close()
+
+const path = require('path');
+const { createJsonStorage } = require('./jsonStorage');
+const { createSqliteStorage } = require('./sqliteStorage');
+
+function createStorage({ driver = 'json', dataDir }) {
+    switch (driver) {
+        case 'json':
+            return createJsonStorage({ file: process.env.DATA_FILE || path.join(dataDir, 'data.json') });
+        case 'sqlite':
+            return createSqliteStorage({ file: process.env.SQLITE_FILE || path.join(dataDir, 'data.sqlite') });
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+}
+
+module.exports = { createStorage, createJsonStorage, createSqliteStorage };
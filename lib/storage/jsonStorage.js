@@ -0,0 +1,127 @@
+// ==========================================
+// JSON File Storage
+// ==========================================
+// Keeps everything in one file. Writes are batched and flushed shortly after
+// the last change; each flush goes to a temp file that is fsynced and renamed
+// over the old one, so a crash leaves either the old or the new file intact.
+// Logs are trimmed to their storeLimits so the file stays small enough to
+// rewrite; use the SQLite driver to keep full histories.
+
+const fs = require('fs');
+const FORMAT_VERSION = 2;
+
+// data.json files written before the storage layer: flat top-level keys,
+// activity/rejected logs newest-first and no version field.
+const LEGACY_COLLECTIONS = ['users', 'usernames', 'friends', 'gameSessions', 'weeklyLeaderboard'];
+const LEGACY_LOGS = { payments: 'asc', activityLog: 'desc', rejectedScores: 'desc' };
+const LEGACY_META = ['stats', 'currentWeek', 'allTimeLeaderboard'];
+
+function fromLegacy(data) {
+    const snapshot = { collections: { meta: {} }, logs: {} };
+    for (const name of LEGACY_COLLECTIONS) snapshot.collections[name] = data[name] || {};
+    for (const [name, order] of Object.entries(LEGACY_LOGS)) {
+        const list = data[name] || [];
+        snapshot.logs[name] = order === 'desc' ? list.slice().reverse() : list.slice();
+    }
+    for (const key of LEGACY_META) {
+        if (data[key] !== undefined) snapshot.collections.meta[key] = data[key];
+    }
+    return snapshot;
+}
+
+// Reads a data file in either format and returns { collections, logs }
+function readDataFile(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data.version === FORMAT_VERSION) return { collections: data.collections || {}, logs: data.logs || {} };
+    return fromLegacy(data);
+}
+
+function createJsonStorage({ file, flushDelay = 1000 }) {
+    let data = { collections: {}, logs: {} };
+    let timer = null;
+    let storeLimits = {};
+
+    if (fs.existsSync(file)) data = readDataFile(file);
+
+    function flush() {
+        if (timer) { clearTimeout(timer); timer = null; }
+        const tmp = `${file}.tmp`;
+        const fd = fs.openSync(tmp, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify({ version: FORMAT_VERSION, ...data }));
+            fs.fsyncSync(fd);
+        } finally { fs.closeSync(fd); }
+        fs.renameSync(tmp, file);
+    }
+
+    function scheduleFlush() {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            try { flush(); } catch (e) { console.error('[DB] Save error:', e.message); }
+        }, flushDelay);
+        timer.unref();
+    }
+
+    function collection(name) {
+        return data.collections[name] || (data.collections[name] = {});
+    }
+
+    function log(name) {
+        return data.logs[name] || (data.logs[name] = []);
+    }
+
+    // Drops the oldest records beyond the log's limit; true when any were dropped
+    function trim(name) {
+        const list = log(name);
+        const limit = storeLimits[name];
+        if (!limit || list.length <= limit) return false;
+        list.splice(0, list.length - limit);
+        return true;
+    }
+
+    return {
+        driver: 'json',
+
+        load({ logLimits = {}, storeLimits: limits = {} } = {}) {
+            storeLimits = limits;
+            let trimmed = false;
+            for (const name of Object.keys(data.logs)) trimmed = trim(name) || trimmed;
+            if (trimmed) scheduleFlush();
+            const logs = {};
+            for (const [name, list] of Object.entries(data.logs)) {
+                const limit = logLimits[name];
+                logs[name] = limit && limit < list.length ? list.slice(-limit) : list.slice();
+            }
+            return { collections: data.collections, logs };
+        },
+
+        put(name, key, value) { collection(name)[key] = value; scheduleFlush(); },
+        remove(name, key) { delete collection(name)[key]; scheduleFlush(); },
+        clear(name) { data.collections[name] = {}; scheduleFlush(); },
+        append(name, record) { log(name).push(record); trim(name); scheduleFlush(); },
+        readLog(name, { since = 0, limit, odairy } = {}) {
+            const list = log(name).filter(r => (r.timestamp || 0) >= since && (!odairy || r.odairy === odairy));
+            return limit ? list.slice(-limit) : list;
+        },
+        clearLog(name) { data.logs[name] = []; scheduleFlush(); },
+        rewriteLog(name, fn) {
+            let changed = 0;
+            data.logs[name] = log(name).flatMap(r => {
+                const next = fn(r);
+                if (next !== r) changed++;
+                return next ? [next] : [];
+            });
+            if (changed) scheduleFlush();
+            return changed;
+        },
+
+        // Single-threaded and flushed as a whole, so nothing extra to do
+        transaction(fn) { return fn(); },
+
+        flush,
+        close() { flush(); }
+    };
+}
+
+module.exports = { createJsonStorage, readDataFile };
@@ -0,0 +1,39 @@
+// ==========================================
+// SQLite Schema Migrations
+// ==========================================
+// Applied in order on open; each runs in its own transaction and is recorded
+// in schema_migrations. Never edit a released migration - add a new one.
+
+module.exports = [
+    {
+        version: 1,
+        name: 'records_and_logs',
+        up: `
+            CREATE TABLE records (
+                collection TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (collection, key)
+            );
+            CREATE TABLE log_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                log TEXT NOT NULL,
+                data TEXT NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_log_entries_log ON log_entries (log, id);
+            CREATE INDEX idx_log_entries_created ON log_entries (log, created_at);
+        `
+    },
+    {
+        // Per-player reads: readLog(name, { odairy })
+        version: 2,
+        name: 'log_entry_players',
+        up: `
+            ALTER TABLE log_entries ADD COLUMN odairy TEXT;
+            UPDATE log_entries SET odairy = CAST(json_extract(data, '$.odairy') AS TEXT);
+            CREATE INDEX idx_log_entries_odairy ON log_entries (log, odairy, created_at);
+        `
+    }
+];
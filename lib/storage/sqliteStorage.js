@@ -0,0 +1,115 @@
+// ==========================================
+// SQLite Storage
+// ==========================================
+// Every put/remove/append is its own committed write; wrap related changes
+// in transaction() to commit them together. Logs are never truncated.
+
+const migrations = require('./migrations');
+
+function openDatabase(file) {
+    let Database;
+    try { Database = require('better-sqlite3'); } catch (e) {
+        throw new Error('STORAGE_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+    const sqlite = new Database(file);
+    sqlite.pragma('journal_mode = WAL');
+    sqlite.pragma('synchronous = NORMAL');
+    sqlite.pragma('foreign_keys = ON');
+    return sqlite;
+}
+
+function migrate(sqlite) {
+    sqlite.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at INTEGER NOT NULL
+    )`);
+    const applied = new Set(sqlite.prepare('SELECT version FROM schema_migrations').pluck().all());
+    const record = sqlite.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    for (const m of migrations) {
+        if (applied.has(m.version)) continue;
+        sqlite.transaction(() => {
+            if (typeof m.up === 'function') m.up(sqlite);
+            else sqlite.exec(m.up);
+            record.run(m.version, m.name, Date.now());
+        })();
+        console.log(`[DB] Migrated to v${m.version} (${m.name})`);
+    }
+}
+
+function createSqliteStorage({ file }) {
+    const sqlite = openDatabase(file);
+    migrate(sqlite);
+
+    const q = {
+        allRecords: sqlite.prepare('SELECT collection, key, value FROM records'),
+        put: sqlite.prepare(`INSERT INTO records (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`),
+        remove: sqlite.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+        clear: sqlite.prepare('DELETE FROM records WHERE collection = ?'),
+        logNames: sqlite.prepare('SELECT DISTINCT log FROM log_entries').pluck(),
+        append: sqlite.prepare('INSERT INTO log_entries (log, data, created_at, odairy) VALUES (?, ?, ?, ?)'),
+        readLog: sqlite.prepare('SELECT data FROM log_entries WHERE log = ? AND created_at >= ? ORDER BY id').pluck(),
+        tailLog: sqlite.prepare(`SELECT data FROM (SELECT id, data FROM log_entries WHERE log = ? AND created_at >= ?
+            ORDER BY id DESC LIMIT ?) ORDER BY id`).pluck(),
+        playerLog: sqlite.prepare(`SELECT data FROM log_entries WHERE log = ? AND odairy = ? AND created_at >= ?
+            ORDER BY id`).pluck(),
+        playerTailLog: sqlite.prepare(`SELECT data FROM (SELECT id, data FROM log_entries WHERE log = ? AND odairy = ?
+            AND created_at >= ? ORDER BY id DESC LIMIT ?) ORDER BY id`).pluck(),
+        clearLog: sqlite.prepare('DELETE FROM log_entries WHERE log = ?'),
+        logEntries: sqlite.prepare('SELECT id, data FROM log_entries WHERE log = ? ORDER BY id'),
+        updateLogEntry: sqlite.prepare('UPDATE log_entries SET data = ?, odairy = ? WHERE id = ?'),
+        deleteLogEntry: sqlite.prepare('DELETE FROM log_entries WHERE id = ?')
+    };
+
+    // Records' odairy is copied into an indexed column for per-player reads
+    const playerOf = record => (record.odairy == null ? null : String(record.odairy));
+
+    function readLog(name, { since = 0, limit, odairy } = {}) {
+        let rows;
+        if (odairy) rows = limit ? q.playerTailLog.all(name, odairy, since, limit) : q.playerLog.all(name, odairy, since);
+        else rows = limit ? q.tailLog.all(name, since, limit) : q.readLog.all(name, since);
+        return rows.map(r => JSON.parse(r));
+    }
+
+    return {
+        driver: 'sqlite',
+        sqlite,
+
+        load({ logLimits = {} } = {}) {
+            const collections = {};
+            for (const row of q.allRecords.iterate()) {
+                (collections[row.collection] || (collections[row.collection] = {}))[row.key] = JSON.parse(row.value);
+            }
+            const logs = {};
+            for (const name of q.logNames.all()) logs[name] = readLog(name, { limit: logLimits[name] });
+            return { collections, logs };
+        },
+
+        put(name, key, value) { q.put.run(name, String(key), JSON.stringify(value), Date.now()); },
+        remove(name, key) { q.remove.run(name, String(key)); },
+        clear(name) { q.clear.run(name); },
+        append(name, record) { q.append.run(name, JSON.stringify(record), record.timestamp || Date.now(), playerOf(record)); },
+        readLog,
+        clearLog(name) { q.clearLog.run(name); },
+        rewriteLog(name, fn) {
+            let changed = 0;
+            for (const row of q.logEntries.all(name)) {
+                const record = JSON.parse(row.data);
+                const next = fn(record);
+                if (next === record) continue;
+                changed++;
+                if (next) q.updateLogEntry.run(JSON.stringify(next), playerOf(next), row.id);
+                else q.deleteLogEntry.run(row.id);
+            }
+            return changed;
+        },
+
+        // Nested calls become savepoints
+        transaction(fn) { return sqlite.transaction(fn)(); },
+
+        flush() {},
+        close() { sqlite.close(); }
+    };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,78 @@
+// ==========================================
+// Telegram WebApp Auth
+// ==========================================
+// Verifies the `initData` string Telegram hands to the WebApp and takes the
+// player's identity from the signed payload instead of the request body.
+// https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+
+const crypto = require('crypto');
+
+function readInitData(req) {
+    const header = req.headers['x-telegram-init-data'];
+    if (header) return String(header);
+    const auth = req.headers.authorization || '';
+    if (auth.startsWith('tma ')) return auth.slice(4);
+    return null;
+}
+
+// Returns { user, authDate, fields } or { error } - never throws on bad input.
+// fields holds every signed field (start_param, chat_type, chat_instance, ...).
+function verifyInitData(initData, botToken, maxAgeSeconds) {
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash) return { error: 'hash missing' };
+    params.delete('hash');
+
+    const checkString = [...params.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([k, v]) => `${k}=${v}`)
+        .join('\n');
+    const secret = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    const expected = crypto.createHmac('sha256', secret).update(checkString).digest('hex');
+
+    const a = Buffer.from(expected, 'hex');
+    const b = Buffer.from(hash, 'hex');
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return { error: 'bad signature' };
+
+    const authDate = Number(params.get('auth_date'));
+    if (!authDate) return { error: 'auth_date missing' };
+    if (maxAgeSeconds && Date.now() / 1000 - authDate > maxAgeSeconds) return { error: 'initData expired' };
+
+    let user;
+    try { user = JSON.parse(params.get('user') || 'null'); } catch (e) { user = null; }
+    if (!user || !user.id) return { error: 'user missing' };
+
+    return { user, authDate, fields: Object.fromEntries(params) };
+}
+
+// Sets req.odairy, req.telegramUser and req.initData for downstream handlers.
+// devMode lets requests without initData identify themselves through the
+// X-Dev-User-Id header or the body's userId/odairy - local testing only.
+// optional: unauthenticated requests pass through without req.odairy.
+function createTelegramAuth({ botToken, maxAge = 86400, devMode = false, optional = false }) {
+    return function telegramAuth(req, res, next) {
+        const initData = readInitData(req);
+
+        if (!initData && devMode) {
+            const id = req.headers['x-dev-user-id'] || req.body?.userId || req.body?.odairy;
+            if (!id) return optional ? next() : res.status(401).json({ error: 'Unauthorized' });
+            req.odairy = String(id);
+            req.telegramUser = { id: req.odairy, username: req.body?.username, first_name: req.body?.firstName, last_name: req.body?.lastName };
+            req.initData = {};
+            return next();
+        }
+
+        if (!initData) return optional ? next() : res.status(401).json({ error: 'Unauthorized' });
+
+        const result = verifyInitData(initData, botToken, maxAge);
+        if (result.error && optional) return next();
+        if (result.error) return res.status(401).json({ error: 'Unauthorized', reason: result.error });
+
+        req.odairy = String(result.user.id);
+        req.telegramUser = result.user;
+        req.initData = result.fields;
+        next();
+    };
+}
+
+module.exports = { createTelegramAuth, verifyInitData, readInitData };
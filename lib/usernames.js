@@ -0,0 +1,139 @@
+// ==========================================
+// Username Rules
+// ==========================================
+// db.usernames maps a name's collision key to the player who registered it.
+// The key folds case, accents, compatibility forms, separators and common
+// lookalikes (Cyrillic/Greek letters, 0/o, 1/l) so "Jоhn_D0e" and "johndoe"
+// collide. Reserved words block exact keys; profanity blocks any key that
+// contains the word, leetspeak included. Both lists live in db.usernamePolicy
+// and are edited by admins. Every rename is appended to `usernameHistory`.
+
+const DEFAULT_POLICY = {
+    reserved: ['admin', 'administrator', 'moderator', 'mod', 'owner', 'staff', 'support', 'official', 'system', 'bot', 'telegram', 'fruitmerge'],
+    profanity: ['fuck', 'shit', 'bitch', 'cunt', 'whore', 'slut', 'asshole', 'pussy']
+};
+
+const CONFUSABLES = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't',
+    'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'һ': 'h', 'ӏ': 'l',
+    'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't',
+    'υ': 'u', 'χ': 'x', '0': 'o', '1': 'l', '|': 'l'
+};
+const LEET = { '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '@': 'a', '$': 's' };
+
+const MESSAGES = {
+    too_short: min => `Must be at least ${min} characters`,
+    too_long: (min, max) => `Must be at most ${max} characters`,
+    invalid_characters: () => 'Only letters, numbers, spaces, _ . and - are allowed',
+    reserved: () => 'This name is reserved',
+    profanity: () => 'This name contains a blocked word',
+    taken: () => 'This name is already taken'
+};
+
+// Collision key: "Jоhn_D0e" -> "johndoe"
+function nameKey(name) {
+    return String(name).normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase()
+        .replace(/[\s_.\-]+/g, '')
+        .replace(/./gu, c => CONFUSABLES[c] || c);
+}
+
+function createUsernameRules({ db, minLength, maxLength, pattern, renameCooldownMs }) {
+    function policy() {
+        return db.usernamePolicy || DEFAULT_POLICY;
+    }
+
+    function updatePolicy({ reserved, profanity }) {
+        const clean = list => Array.from(new Set(list.map(w => nameKey(w)).filter(Boolean)));
+        for (const list of [reserved, profanity]) {
+            if (list !== undefined && (!Array.isArray(list) || list.some(w => typeof w !== 'string'))) {
+                return { error: 'Lists must be arrays of strings', status: 400, field: list === reserved ? 'reserved' : 'profanity' };
+            }
+        }
+        const current = policy();
+        db.usernamePolicy = {
+            reserved: reserved ? clean(reserved) : current.reserved,
+            profanity: profanity ? clean(profanity) : current.profanity
+        };
+        db.save('usernamePolicy');
+        return { ok: true, policy: db.usernamePolicy };
+    }
+
+    function blockedReason(key) {
+        const { reserved, profanity } = policy();
+        if (reserved.includes(key)) return 'reserved';
+        const variants = [key, key.replace(/./g, c => LEET[c] || c)];
+        variants.push(variants[1].replace(/l/g, 'i'));
+        if (profanity.some(word => variants.some(v => v.includes(word)))) return 'profanity';
+        return null;
+    }
+
+    // { ok: true, name, key } with the cleaned-up name, or { ok: false, name, reason, message }
+    function check(raw, odairy) {
+        const name = String(raw || '').normalize('NFKC').trim().replace(/\s+/g, ' ');
+        const key = nameKey(name);
+        const fail = reason => ({ ok: false, name, reason, message: MESSAGES[reason](minLength, maxLength) });
+
+        const length = [...name].length;
+        if (length < minLength || !key) return fail('too_short');
+        if (length > maxLength) return fail('too_long');
+        if (!pattern.test(name)) return fail('invalid_characters');
+        const blocked = blockedReason(key);
+        if (blocked) return fail(blocked);
+        const owner = db.usernames.get(key);
+        if (owner && owner !== odairy) return fail('taken');
+        return { ok: true, name, key };
+    }
+
+    // Seconds until the player may rename again (0 when allowed)
+    function cooldownRemaining(odairy) {
+        const last = db.users.get(odairy)?.lastRenamedAt;
+        if (!last) return 0;
+        return Math.max(0, Math.ceil((last + renameCooldownMs - Date.now()) / 1000));
+    }
+
+    // Writes the new name; by is 'user' or 'admin:<username>'. register: false
+    // sets the display name without claiming it (placeholder names).
+    function rename(odairy, name, { by = 'user', reason = null, register = true } = {}) {
+        const user = db.users.get(odairy);
+        const previous = user?.displayName || null;
+        db.transaction(() => {
+            const oldKey = previous && nameKey(previous);
+            if (oldKey && db.usernames.get(oldKey) === odairy) db.remove('usernames', oldKey);
+            if (register) {
+                const key = nameKey(name);
+                db.usernames.set(key, odairy);
+                db.save('usernames', key);
+            }
+            if (user) {
+                user.displayName = name;
+                if (by === 'user') user.lastRenamedAt = Date.now();
+                db.save('users', odairy);
+            }
+            db.append('usernameHistory', { odairy, from: previous, to: name, by, reason, timestamp: Date.now() });
+        });
+        return { previous };
+    }
+
+    function history(odairy, limit = 100) {
+        return db.readLog('usernameHistory', { odairy, limit }).reverse();
+    }
+
+    // Moves entries stored under older key schemes (plain lowercase) to nameKey
+    function rekey() {
+        db.transaction(() => {
+            for (const [stored, odairy] of Array.from(db.usernames)) {
+                const key = nameKey(stored);
+                if (key === stored) continue;
+                db.remove('usernames', stored);
+                if (key && !db.usernames.has(key)) { db.usernames.set(key, odairy); db.save('usernames', key); }
+            }
+        });
+    }
+
+    return {
+        key: nameKey, check, cooldownRemaining, rename, history, rekey, policy, updatePolicy,
+        config: { minLength, maxLength, pattern: pattern.source, renameCooldown: renameCooldownMs / 1000 }
+    };
+}
+
+module.exports = { createUsernameRules, nameKey, DEFAULT_POLICY };
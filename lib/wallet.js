@@ -0,0 +1,81 @@
+// ==========================================
+// Star Wallet
+// ==========================================
+// Per-user balance backed by the append-only `starLedger` log. The balance in
+// `wallets` is a cache of the ledger sum; every change goes through post().
+// Purchases are keyed by telegram_payment_charge_id in `starCharges`, so a
+// replayed successful_payment update can't credit twice. Each charge records
+// the catalog version it was sold under (see lib/catalog.js).
+
+const crypto = require('crypto');
+
+function createWallet({ db }) {
+    function getBalance(odairy) {
+        return db.wallets.get(odairy)?.balance || 0;
+    }
+
+    // amount > 0 credits, amount < 0 debits. Caller checks funds.
+    function post(odairy, amount, type, ref = null, meta = {}) {
+        const wallet = db.wallets.get(odairy) || { odairy, balance: 0 };
+        wallet.balance += amount;
+        wallet.updatedAt = Date.now();
+        db.wallets.set(odairy, wallet);
+
+        const entry = {
+            id: crypto.randomUUID(), odairy, type, amount, ref,
+            balanceAfter: wallet.balance, ...meta, timestamp: wallet.updatedAt
+        };
+        db.save('wallets', odairy);
+        db.append('starLedger', entry);
+        return entry;
+    }
+
+    function credit(odairy, amount, type, ref, meta) {
+        return db.transaction(() => post(odairy, Math.abs(amount), type, ref, meta));
+    }
+
+    // Returns the ledger entry, or null when the balance is too low
+    function debit(odairy, amount, type, ref, meta) {
+        return db.transaction(() => {
+            if (getBalance(odairy) < amount) return null;
+            return post(odairy, -Math.abs(amount), type, ref, meta);
+        });
+    }
+
+    // offer: the quote the invoice was issued for. Returns { entry } or { duplicate: true }
+    function creditPurchase(odairy, chargeId, offer, paid) {
+        return db.transaction(() => {
+            if (db.starCharges.has(chargeId)) return { duplicate: true };
+            const stars = offer.stars + offer.bonus;
+            db.starCharges.set(chargeId, {
+                chargeId, odairy, packageId: offer.id, version: offer.version, promotion: Boolean(offer.promotion),
+                stars, amount: paid, refundedAt: null, timestamp: Date.now()
+            });
+            db.save('starCharges', chargeId);
+            return { entry: post(odairy, stars, 'purchase', chargeId, { packageId: offer.id, version: offer.version }) };
+        });
+    }
+
+    // Reverses the purchase credit. The balance may go negative if the stars
+    // were already spent - that debt is settled by future credits.
+    function reversePurchase(chargeId, adminNote) {
+        return db.transaction(() => {
+            const charge = db.starCharges.get(chargeId);
+            charge.refundedAt = Date.now();
+            db.save('starCharges', chargeId);
+            return post(charge.odairy, -charge.stars, 'refund', chargeId, { note: adminNote || null });
+        });
+    }
+
+    function history(odairy, limit = 50) {
+        const list = [];
+        for (let i = db.starLedger.length - 1; i >= 0 && list.length < limit; i--) {
+            if (db.starLedger[i].odairy === odairy) list.push(db.starLedger[i]);
+        }
+        return list;
+    }
+
+    return { getBalance, credit, debit, creditPurchase, reversePurchase, history };
+}
+
+module.exports = { createWallet };
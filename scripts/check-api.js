@@ -0,0 +1,177 @@
+// ==========================================
+// API check
+// ==========================================
+// Usage: node scripts/check-api.js
+// Starts server.js in this process on a free port, with a throwaway data file,
+// dev-mode player auth and a bot that never reaches Telegram, then checks
+// error paths of the HTTP API, that the webhook only takes updates carrying
+// the secret token, that only finished games count towards achievements and
+// that a cheat report keeps the player's games once the activity log has moved
+// on, and that out-of-range season keys are refused. Exits non-zero on the
+// first failed check.
+
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const TelegramBot = require('node-telegram-bot-api');
+
+const file = path.join(os.tmpdir(), `check-api-${process.pid}.json`);
+const ADMIN_PASSWORD = 'check-api-password';
+const WEBHOOK_SECRET = 'check-api-webhook-secret';
+
+// Bot methods resolve without a network call; the last call of each is kept
+const botCalls = {};
+TelegramBot.prototype._request = async (method, opts = {}) => {
+    botCalls[method] = { ...opts.qs, ...opts.form };
+    if (method === 'getMe') return { id: 1, username: 'CheckBot' };
+    if (method === 'getWebhookInfo') return { url: 'https://example.com/api/webhook' };
+    if (method === 'createInvoiceLink') return 'https://t.me/invoice/check';
+    return true;
+};
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const srv = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+            const { port } = srv.address();
+            srv.close(() => resolve(port));
+        });
+    });
+}
+
+let base;
+let adminToken;
+
+async function call(method, url, { body, player, admin } = {}) {
+    const headers = { 'content-type': 'application/json' };
+    if (player) headers['x-dev-user-id'] = player;
+    if (admin) headers.authorization = `Bearer ${adminToken}`;
+    const res = await fetch(base + url, { method, headers, body: body && JSON.stringify(body) });
+    const type = res.headers.get('content-type') || '';
+    return { status: res.status, type, body: type.includes('json') ? await res.json() : await res.text() };
+}
+
+// The first heartbeat creates the player
+async function join(player) {
+    assert.strictEqual((await call('POST', '/api/heartbeat', { player, body: {} })).status, 200);
+}
+
+async function start() {
+    const port = await freePort();
+    Object.assign(process.env, {
+        PORT: String(port), BOT_TOKEN: '1:check', STORAGE_DRIVER: 'json', DATA_FILE: file,
+        AUTH_DEV_MODE: 'true', ADMIN_USERNAME: 'owner', ADMIN_PASSWORD, WEBHOOK_SECRET,
+        RATE_LIMITS: JSON.stringify({ game: { limit: 1000, window: 60 } })
+    });
+    require('../server');
+    base = `http://127.0.0.1:${port}`;
+    for (let i = 0; i < 50; i++) {
+        const ok = await fetch(`${base}/api/openapi.json`).then(r => r.ok, () => false);
+        if (ok) break;
+        await new Promise(r => setTimeout(r, 100));
+    }
+    const login = await call('POST', '/api/admin/login', { body: { username: 'owner', password: ADMIN_PASSWORD } });
+    assert.strictEqual(login.status, 200, 'bootstrap admin can log in');
+    adminToken = login.body.token;
+}
+
+async function eraseUnknownPlayer() {
+    const byAdmin = await call('DELETE', '/api/admin/users/999', { admin: true, body: { reason: 'check' } });
+    assert.strictEqual(byAdmin.status, 404);
+    assert.deepStrictEqual(byAdmin.body, { error: 'Unknown player' });
+
+    const bySelf = await call('DELETE', '/api/me', { player: '998', body: { confirm: 'DELETE_MY_ACCOUNT' } });
+    assert.strictEqual(bySelf.status, 404);
+    assert.deepStrictEqual(bySelf.body, { error: 'Unknown player' });
+    console.log('ok  erasing an unknown player answers 404');
+}
+
+async function webhookNeedsSecret() {
+    assert.deepStrictEqual(botCalls.setWebHook, { url: 'https://example.com/api/webhook', secret_token: WEBHOOK_SECRET },
+        'the registered webhook is re-set with the secret token');
+
+    await join('77');
+    const invoice = await call('POST', '/api/buy-stars', { player: '77', body: { packageId: 'stars_100' } });
+    assert.strictEqual(invoice.status, 200);
+    const update = {
+        update_id: 1,
+        message: {
+            message_id: 1, date: 0, chat: { id: 77, type: 'private' }, from: { id: 77, first_name: 'P' },
+            successful_payment: {
+                currency: 'XTR', total_amount: 1, invoice_payload: botCalls.createInvoiceLink.payload,
+                telegram_payment_charge_id: 'forged', provider_payment_charge_id: ''
+            }
+        }
+    };
+    const post = secret => fetch(`${base}/api/webhook`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...(secret && { 'x-telegram-bot-api-secret-token': secret }) },
+        body: JSON.stringify(update)
+    });
+    const balance = async () => (await call('GET', '/api/wallet', { player: '77' })).body.balance;
+
+    assert.strictEqual((await post(null)).status, 401, 'no secret token');
+    assert.strictEqual((await post('wrong')).status, 401, 'wrong secret token');
+    assert.strictEqual(await balance(), 0, 'rejected updates credit nothing');
+    assert.strictEqual((await post(WEBHOOK_SECRET)).status, 200);
+    assert.ok(await balance() > 0, 'updates from Telegram are still processed');
+    console.log('ok  webhook rejects updates without the secret token');
+}
+
+async function gamesCountWhenFinished() {
+    const player = '78';
+    await join(player);
+    const sessions = [];
+    for (let i = 0; i < 3; i++) {
+        sessions.push((await call('POST', '/api/game/start', { player, body: {} })).body.sessionId);
+    }
+    const end = await call('POST', '/api/game/end', { player, body: { sessionId: sessions[0], score: 0 } });
+    assert.strictEqual(end.status, 200);
+
+    const { achievements, daily } = (await call('GET', '/api/achievements', { player })).body;
+    const progress = id => [...achievements, ...daily.quests].find(a => a.id === id).progress;
+    assert.strictEqual(progress('games_100'), 1, 'three starts and one finish count as one game');
+    assert.strictEqual(progress('daily_games_5'), 1);
+    console.log('ok  only finished games count towards achievements');
+}
+
+async function reportKeepsGames() {
+    // Player 78 finished a game above; others' games push it out of the activity log
+    await join('79');
+    for (let i = 0; i < 210; i++) await call('POST', '/api/game/start', { player: '79', body: {} });
+
+    const report = await call('POST', '/api/report-cheat', { player: '79', body: { odairy: '78', reason: 'check' } });
+    assert.strictEqual(report.status, 200);
+    const { body } = await call('GET', `/api/admin/reports/${report.body.reportId}`, { admin: true });
+    const games = body.report.snapshot.recentGames;
+    assert.strictEqual(games.length, 1, 'the reported player\'s game is in the snapshot');
+    assert.strictEqual(games[0].mode, 'classic');
+    console.log('ok  cheat report snapshots the player\'s own games');
+}
+
+async function seasonKeysInRange() {
+    for (const url of ['/api/leaderboard/week/2026-W99', '/api/leaderboard/season/monthly/2026-13', '/api/leaderboard/season/daily/2026-02-31']) {
+        assert.strictEqual((await call('GET', url)).status, 400, url);
+    }
+    const closeOut = await call('POST', '/api/admin/seasons/2026-W99/closeout', { admin: true, body: {} });
+    assert.deepStrictEqual(closeOut.body.errors, [{ in: 'path', field: 'week', message: 'Invalid week' }]);
+    console.log('ok  out-of-range season keys answer 400');
+}
+
+(async () => {
+    try {
+        await start();
+        await eraseUnknownPlayer();
+        await webhookNeedsSecret();
+        await gamesCountWhenFinished();
+        await reportKeepsGames();
+        await seasonKeysInRange();
+    } finally {
+        fs.rmSync(file, { force: true });
+        fs.rmSync(`${file}.tmp`, { force: true });
+    }
+})().then(() => process.exit(), e => {
+    console.error('FAIL', e.message);
+    process.exit(1);
+});
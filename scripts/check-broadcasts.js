@@ -0,0 +1,149 @@
+// ==========================================
+// Broadcast sender check
+// ==========================================
+// Usage: node scripts/check-broadcasts.js
+// Drives lib/broadcasts.js with a fake bot and an instant wait() over a
+// throwaway data file: a 429 is retried after retry_after, a 403 marks the
+// player unreachable, a restart resumes at the saved cursor without messaging
+// anyone twice, and a data reset stops the sender without it saving or
+// completing the dropped broadcast. Exits non-zero on the first failed check.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDb } = require('../lib/db');
+const { createJsonStorage } = require('../lib/storage');
+const { createBroadcasts } = require('../lib/broadcasts');
+
+const file = path.join(os.tmpdir(), `check-broadcasts-${process.pid}.json`);
+const PLAYERS = ['1', '2', '3', '4'];
+
+function telegramError(code, description, parameters) {
+    const e = new Error(`ETELEGRAM: ${code} ${description}`);
+    e.response = { statusCode: code, body: { ok: false, error_code: code, description, ...(parameters && { parameters }) } };
+    return e;
+}
+
+// replies: odairy -> list of outcomes for successive sends ('ok', 429, 403 or
+// 'hang', which never settles). Unlisted players always succeed.
+function fakeBot(replies = {}) {
+    const sent = [];
+    const calls = {};
+    return {
+        sent,
+        async sendMessage(odairy) {
+            const n = calls[odairy] = (calls[odairy] || 0) + 1;
+            const reply = (replies[odairy] || [])[n - 1] || 'ok';
+            if (reply === 'hang') return new Promise(() => {});
+            if (reply === 429) throw telegramError(429, 'Too Many Requests: retry after 7', { retry_after: 7 });
+            if (reply === 403) throw telegramError(403, 'Forbidden: bot was blocked by the user');
+            sent.push(odairy);
+            return { message_id: sent.length };
+        }
+    };
+}
+
+function openDb() {
+    const db = createDb(createJsonStorage({ file, flushDelay: 60000 }));
+    if (!db.users.size) {
+        for (const odairy of PLAYERS) db.users.set(odairy, { odairy, username: `P${odairy}` });
+    }
+    return db;
+}
+
+function sender(db, bot) {
+    const waits = [];
+    const activity = [];
+    const broadcasts = createBroadcasts({
+        db, bot, webappUrl: 'https://example.com', rate: 25,
+        resolveTarget: () => PLAYERS, addActivity: type => activity.push(type),
+        wait: async ms => { waits.push(ms); }
+    });
+    return { broadcasts, waits, activity };
+}
+
+const settle = () => new Promise(r => setImmediate(r));
+
+async function retriesAndUnreachable() {
+    const db = openDb();
+    const bot = fakeBot({ 2: [429, 'ok'], 3: [403] });
+    const { broadcasts, waits } = sender(db, bot);
+    const { broadcast } = broadcasts.create({ text: 'hi', target: { type: 'all' }, by: 'owner' });
+    await broadcasts.idle();
+
+    const b = broadcasts.get(broadcast.id);
+    assert.deepStrictEqual(bot.sent, ['1', '2', '4'], 'each reachable player gets one message');
+    assert.ok(waits.includes(7000), 'waits for retry_after before retrying');
+    assert.strictEqual(b.status, 'completed');
+    assert.deepStrictEqual([b.sent, b.unreachable, b.failed, b.skipped, b.cursor], [3, 1, 0, 0, 4]);
+    assert.strictEqual(b.errors[0].odairy, '3');
+    assert.ok(db.users.get('3').unreachable, 'blocked player is marked unreachable');
+    assert.strictEqual(broadcasts.create({ text: 'hi', target: { type: 'all' }, dryRun: true }).total, 3,
+        'unreachable players are left out of new broadcasts');
+
+    broadcasts.markReachable('3');
+    assert.strictEqual(db.users.get('3').unreachable, undefined);
+    console.log('ok  429 retried, 403 marked unreachable');
+}
+
+async function resumesAfterRestart() {
+    fs.rmSync(file, { force: true });
+    let db = openDb();
+    const first = fakeBot({ 3: ['hang'] });
+    const { broadcasts } = sender(db, first);
+    const { broadcast } = broadcasts.create({ text: 'hi', target: { type: 'all' }, by: 'owner' });
+    await settle();
+    assert.deepStrictEqual(first.sent, ['1', '2']);
+    db.flush();
+
+    // A fresh process: state comes back from storage only
+    db = openDb();
+    assert.strictEqual(db.broadcasts.get(broadcast.id).cursor, 2);
+    const second = fakeBot();
+    const restarted = sender(db, second).broadcasts;
+    await restarted.kick();
+    assert.deepStrictEqual(second.sent, ['3', '4'], 'resumes at the saved cursor');
+    assert.strictEqual(restarted.get(broadcast.id).status, 'completed');
+    assert.strictEqual(restarted.get(broadcast.id).sent, 4);
+    console.log('ok  restart resumes without repeats');
+}
+
+async function stopsAfterReset() {
+    fs.rmSync(file, { force: true });
+    const db = openDb();
+    let release;
+    const bot = fakeBot();
+    const send = bot.sendMessage;
+    // Player 2's message is in flight while the reset happens
+    bot.sendMessage = odairy => (odairy === '2' ? new Promise(r => { release = r; }) : send(odairy));
+    const { broadcasts, activity } = sender(db, bot);
+    const { broadcast } = broadcasts.create({ text: 'hi', target: { type: 'all' }, by: 'owner' });
+    await settle();
+
+    db.clearAll({ keep: ['users'] });
+    release({ message_id: 2 });
+    await broadcasts.idle();
+    assert.strictEqual(db.broadcasts.has(broadcast.id), false, 'reset broadcast is not saved again');
+    assert.deepStrictEqual(bot.sent, ['1'], 'nobody is messaged after the reset');
+    assert.ok(!activity.includes('broadcast_completed'), 'a reset broadcast is not reported as completed');
+    db.flush();
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8')).collections.broadcasts || {};
+    assert.deepStrictEqual(Object.keys(stored), []);
+    console.log('ok  data reset stops the sender');
+}
+
+(async () => {
+    try {
+        fs.rmSync(file, { force: true });
+        await retriesAndUnreachable();
+        await resumesAfterRestart();
+        await stopsAfterReset();
+    } finally {
+        fs.rmSync(file, { force: true });
+        fs.rmSync(`${file}.tmp`, { force: true });
+    }
+})().catch(e => {
+    console.error('FAIL', e.message);
+    process.exitCode = 1;
+});
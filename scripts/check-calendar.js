@@ -0,0 +1,76 @@
+// ==========================================
+// Season calendar check
+// ==========================================
+// Usage: node scripts/check-calendar.js
+// Checks lib/seasonCalendar.js key validation and season bounds: keys outside
+// their period's range (week 99, month 13, February 31) are rejected rather
+// than rolled over into another season. Exits non-zero on the first failed check.
+
+const assert = require('assert');
+const { createSeasonCalendar } = require('../lib/seasonCalendar');
+
+const utc = createSeasonCalendar();
+
+function validKeys() {
+    const cases = [
+        ['daily', '2026-01-31', true],
+        ['daily', '2024-02-29', true],
+        ['daily', '2026-02-29', false],
+        ['daily', '2026-02-31', false],
+        ['daily', '2026-04-31', false],
+        ['daily', '2026-00-10', false],
+        ['daily', '2026-01-00', false],
+        ['daily', '2026-1-5', false],
+        ['weekly', '2026-W01', true],
+        ['weekly', '2026-W53', true],   // 2026 has 53 ISO weeks
+        ['weekly', '2025-W52', true],
+        ['weekly', '2025-W53', false],  // 2025 has 52
+        ['weekly', '2026-W00', false],
+        ['weekly', '2026-W99', false],
+        ['monthly', '2026-01', true],
+        ['monthly', '2026-12', true],
+        ['monthly', '2026-00', false],
+        ['monthly', '2026-13', false],
+        ['monthly', '2026-W05', false],
+        ['yearly', '2026', false]
+    ];
+    for (const [period, key, valid] of cases) {
+        assert.strictEqual(utc.isValidKey(period, key), valid, `${period} ${key}`);
+        if (!valid) assert.strictEqual(utc.bounds(period, key), null, `${period} ${key} has no bounds`);
+    }
+    console.log('ok  out-of-range keys are rejected');
+}
+
+function bounds() {
+    const iso = b => [b.start.toISOString(), b.end.toISOString()];
+    assert.deepStrictEqual(iso(utc.bounds('weekly', '2026-W01')), ['2025-12-29T00:00:00.000Z', '2026-01-04T23:59:59.999Z']);
+    assert.deepStrictEqual(iso(utc.bounds('weekly', '2026-W53')), ['2026-12-28T00:00:00.000Z', '2027-01-03T23:59:59.999Z']);
+    assert.deepStrictEqual(iso(utc.bounds('monthly', '2026-12')), ['2026-12-01T00:00:00.000Z', '2026-12-31T23:59:59.999Z']);
+    assert.deepStrictEqual(iso(utc.bounds('daily', '2024-02-29')), ['2024-02-29T00:00:00.000Z', '2024-02-29T23:59:59.999Z']);
+
+    // A day with a DST change is 23 hours long
+    const berlin = createSeasonCalendar({ timeZone: 'Europe/Berlin' });
+    assert.deepStrictEqual(iso(berlin.bounds('daily', '2026-03-29')), ['2026-03-28T23:00:00.000Z', '2026-03-29T21:59:59.999Z']);
+    console.log('ok  season bounds');
+}
+
+function keysRoundTrip() {
+    for (const period of ['daily', 'weekly', 'monthly']) {
+        for (let ms = Date.UTC(2020, 0, 1); ms < Date.UTC(2028, 0, 1); ms += 86400000) {
+            const key = utc.key(period, new Date(ms));
+            assert.ok(utc.isValidKey(period, key), `${period} ${key}`);
+            const { start, end } = utc.bounds(period, key);
+            assert.ok(start.getTime() <= ms && ms <= end.getTime(), `${period} ${key} holds its own day`);
+        }
+    }
+    console.log('ok  every day\'s keys are valid and hold that day');
+}
+
+try {
+    validKeys();
+    bounds();
+    keysRoundTrip();
+} catch (e) {
+    console.error('FAIL', e.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,41 @@
+// ==========================================
+// One-shot importer: data.json -> SQLite
+// ==========================================
+// Usage: node scripts/import-data-json.js [data.json] [data.sqlite] [--force]
+// Refuses to import into a database that already holds records unless --force.
+
+const path = require('path');
+const { readDataFile } = require('../lib/storage/jsonStorage');
+const { createSqliteStorage } = require('../lib/storage/sqliteStorage');
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const [source = path.join(__dirname, '..', 'data.json'), target = path.join(__dirname, '..', 'data.sqlite')] =
+    args.filter(a => a !== '--force');
+
+const snapshot = readDataFile(source);
+const storage = createSqliteStorage({ file: target });
+
+const existing = storage.sqlite.prepare('SELECT COUNT(*) FROM records').pluck().get()
+    + storage.sqlite.prepare('SELECT COUNT(*) FROM log_entries').pluck().get();
+if (existing && !force) {
+    console.error(`${target} already has ${existing} rows - rerun with --force to import anyway`);
+    storage.close();
+    process.exit(1);
+}
+
+const counts = {};
+storage.transaction(() => {
+    for (const [name, records] of Object.entries(snapshot.collections)) {
+        for (const [key, value] of Object.entries(records)) storage.put(name, key, value);
+        counts[name] = Object.keys(records).length;
+    }
+    for (const [name, records] of Object.entries(snapshot.logs)) {
+        for (const record of records) storage.append(name, record);
+        counts[name] = records.length;
+    }
+});
+storage.close();
+
+console.log(`Imported ${source} -> ${target}`);
+for (const [name, n] of Object.entries(counts)) console.log(`  ${name}: ${n}`);
@@ -4,146 +4,313 @@
 // ==========================================
 
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
-const path = require('path');
 const TelegramBot = require('node-telegram-bot-api');
+const { createTelegramAuth } = require('./lib/telegramAuth');
+const { createGameSessions } = require('./lib/gameSessions');
+const { createStorage } = require('./lib/storage');
+const { createDb } = require('./lib/db');
+const { createWallet } = require('./lib/wallet');
+const { createSeasonCloseout } = require('./lib/seasonCloseout');
+const { createSeasonCalendar, PERIODS } = require('./lib/seasonCalendar');
+const { createBotRouter } = require('./lib/botRouter');
+const { createFriendGraph } = require('./lib/friendGraph');
+const { createReferrals } = require('./lib/referrals');
+const { createAdminAccounts, ROLES } = require('./lib/adminAccounts');
+const { createModeration, parseExpiry } = require('./lib/moderation');
+const { createCheatReports, STATUSES: REPORT_STATUSES } = require('./lib/cheatReports');
+const { createLiveEvents } = require('./lib/liveEvents');
+const { createUsernameRules } = require('./lib/usernames');
+const { createAnalytics, toCsv, shiftDay, MAX_RANGE_DAYS } = require('./lib/analytics');
+const { createRateLimiter } = require('./lib/rateLimit');
+const { createAchievements, METRICS } = require('./lib/achievements');
+const { createRankedBoards, compareEntries } = require('./lib/rankedBoards');
+const { createBroadcasts } = require('./lib/broadcasts');
+const { createAccountData } = require('./lib/accountData');
+const { createCatalog } = require('./lib/catalog');
+const { createGameHistory } = require('./lib/gameHistory');
+const { createGroupChats, launchParam, parseLaunchParam, GROUP_TYPES } = require('./lib/groupChats');
+const { t, spec, sendInvalid, sendError } = require('./lib/schema');
+const { SCHEMAS } = require('./lib/apiSchemas');
+const { buildOpenApi } = require('./lib/openapi');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const WEBAPP_URL = process.env.WEBAPP_URL || 'https://shane-ufo.github.io/fruit-merge-game/';
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
+// Mini App short name from BotFather; bot links then open the game directly (t.me/<bot>/<app>)
+const WEBAPP_SHORT_NAME = process.env.WEBAPP_SHORT_NAME || null;
+// Only used to create the first owner account when none exist
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'owner';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || null;
+const ADMIN_TOKEN_TTL = Number(process.env.ADMIN_TOKEN_TTL) || 3600; // seconds
+const ADMIN_MAX_FAILURES = Number(process.env.ADMIN_MAX_FAILURES) || 5;
+const ADMIN_LOCKOUT = Number(process.env.ADMIN_LOCKOUT) || 900; // seconds
 const ADMIN_TELEGRAM_ID = process.env.ADMIN_TELEGRAM_ID || null;
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'json'; // json (small setups, capped logs) | sqlite
+const AUTH_MAX_AGE = Number(process.env.AUTH_MAX_AGE) || 86400;
+const AUTH_DEV_MODE = process.env.AUTH_DEV_MODE === 'true';
+const SESSION_SECRET = process.env.SESSION_SECRET || BOT_TOKEN;
+// Public URL of /api/webhook; when unset, the URL already registered with Telegram is kept
+const WEBHOOK_URL = process.env.WEBHOOK_URL || null;
+// Sent by Telegram with every update (1-256 of A-Z a-z 0-9 _ -); derived from BOT_TOKEN by default
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET ||
+    (BOT_TOKEN && crypto.createHash('sha256').update(`webhook:${BOT_TOKEN}`).digest('hex'));
+const MAX_POINTS_PER_SECOND = Number(process.env.MAX_POINTS_PER_SECOND) || 100;
+const MAX_GAME_LENGTH = Number(process.env.MAX_GAME_LENGTH) || 3600; // seconds
+const SEASON_NOTIFY_TOP = Number(process.env.SEASON_NOTIFY_TOP) || 10;
+const MAX_FRIENDS = Number(process.env.MAX_FRIENDS) || 200;
+const REFERRAL_WINDOW = Number(process.env.REFERRAL_WINDOW) || 3600; // seconds after firstSeen
+const REPORT_FLAG_THRESHOLD = Number(process.env.REPORT_FLAG_THRESHOLD) || 3; // distinct reporters
+const REPORT_RATE_LIMIT = Number(process.env.REPORT_RATE_LIMIT) || 10; // reports per hour per player
+const REPORT_DEDUPE_WINDOW = Number(process.env.REPORT_DEDUPE_WINDOW) || 86400; // seconds
+const USERNAME_MIN_LENGTH = Number(process.env.USERNAME_MIN_LENGTH) || 3;
+const USERNAME_MAX_LENGTH = Number(process.env.USERNAME_MAX_LENGTH) || 20;
+// Checked after NFKC normalization; the default allows letters and digits of any script
+const USERNAME_PATTERN = new RegExp(process.env.USERNAME_PATTERN || '^[\\p{L}\\p{N}_ .-]+$', 'u');
+const USERNAME_RENAME_COOLDOWN = Number(process.env.USERNAME_RENAME_COOLDOWN) || 86400; // seconds
+const LEADERBOARD_PAGE_SIZE = Number(process.env.LEADERBOARD_PAGE_SIZE) || 100; // default ?limit=
+const LEADERBOARD_MAX_PAGE = Number(process.env.LEADERBOARD_MAX_PAGE) || 200;
+const LIVE_BOARD_SIZE = 100; // entries pushed over /api/live
+const LIVE_MAX_STREAMS = Number(process.env.LIVE_MAX_STREAMS) || 3; // open streams per player, admin or IP
+const BROADCAST_RATE = Number(process.env.BROADCAST_RATE) || 25; // messages per second, Telegram allows ~30
+// Requests per window (seconds) for each route group. Override groups with RATE_LIMITS as JSON.
+const RATE_LIMITS = {
+    heartbeat: { limit: 30, window: 60 },
+    game: { limit: 60, window: 60 },
+    read: { limit: 120, window: 60 },
+    lookup: { limit: 20, window: 60 },
+    social: { limit: 30, window: 60 },
+    payments: { limit: 10, window: 60 },
+    login: { limit: 10, window: 900 },
+    ...(process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : {})
+};
+// Set when running behind a reverse proxy so req.ip is the client's address
+const TRUST_PROXY = process.env.TRUST_PROXY || null;
+const SEASON_TZ = process.env.SEASON_TZ || 'UTC';
+// Season boards kept side by side; weekly is always on (close-out runs on it)
+const SEASON_PERIODS = PERIODS.filter(p => p === 'weekly' ||
+    (process.env.SEASON_PERIODS || 'daily,weekly,monthly').split(',').map(x => x.trim()).includes(p));
+
+// Game modes, each with its own season, all-time and friends boards. Override
+// with GAME_MODES as JSON. classic is always on and is the mode of requests
+// that don't name one; season rewards and close-out run on its weekly board.
+const DEFAULT_MODE = 'classic';
+const GAME_MODES = (() => {
+    const modes = process.env.GAME_MODES ? JSON.parse(process.env.GAME_MODES) : [
+        { id: 'classic', title: 'Classic' },
+        { id: 'timed', title: 'Timed' },
+        { id: 'daily_challenge', title: 'Daily Challenge' }
+    ];
+    for (const m of modes) {
+        if (!/^[a-z0-9_]{1,32}$/.test(m.id)) throw new Error(`GAME_MODES: invalid mode id ${JSON.stringify(m.id)}`);
+    }
+    return modes.some(m => m.id === DEFAULT_MODE) ? modes : [{ id: DEFAULT_MODE, title: 'Classic' }, ...modes];
+})();
+
+// Weekly prizes by final rank (inclusive). Override with SEASON_REWARDS as JSON.
+const SEASON_REWARDS = process.env.SEASON_REWARDS ? JSON.parse(process.env.SEASON_REWARDS) : [
+    { ranks: [1, 1], stars: 500, badge: 'weekly_champion' },
+    { ranks: [2, 3], stars: 250, badge: 'weekly_podium' },
+    { ranks: [4, 10], stars: 100 }
+];
+
+// Stars paid when a referred player first reaches a milestone. Override with REFERRAL_REWARDS as JSON.
+const REFERRAL_REWARDS = process.env.REFERRAL_REWARDS ? JSON.parse(process.env.REFERRAL_REWARDS) : [
+    { milestone: 'first_game', referrer: 50, referee: 25 },
+    { milestone: 'first_purchase', referrer: 100 }
+];
 
 if (!BOT_TOKEN) { console.error('ERROR: BOT_TOKEN not set!'); process.exit(1); }
+if (AUTH_DEV_MODE) console.warn('WARNING: AUTH_DEV_MODE is on - player identity is NOT verified. Never use in production!');
 
 const bot = new TelegramBot(BOT_TOKEN);
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
 app.use(cors({ origin: '*' }));
 app.use(express.json());
 
+// Player routes take identity from verified initData (req.odairy)
+const playerAuth = createTelegramAuth({ botToken: BOT_TOKEN, maxAge: AUTH_MAX_AGE, devMode: AUTH_DEV_MODE });
+// Same, but lets anonymous requests through (req.odairy unset)
+const optionalPlayerAuth = createTelegramAuth({ botToken: BOT_TOKEN, maxAge: AUTH_MAX_AGE, devMode: AUTH_DEV_MODE, optional: true });
+
+// limit(group) after the auth middleware: keyed by player id, else by IP
+const rateLimiter = createRateLimiter({
+    groups: Object.fromEntries(Object.entries(RATE_LIMITS).map(([name, g]) => [name, { limit: g.limit, windowMs: g.window * 1000 }]))
+});
+const limit = rateLimiter.limit;
+
 // ==========================================
-// Weekly Helper Functions
+// Season Calendar
 // ==========================================
 
-function getWeekNumber(d = new Date()) {
-    const date = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
-    const dayNum = date.getUTCDay() || 7;
-    date.setUTCDate(date.getUTCDate() + 4 - dayNum);
-    const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
-    return Math.ceil((((date - yearStart) / 86400000) + 1) / 7);
-}
+const calendar = createSeasonCalendar({ timeZone: SEASON_TZ });
 
-function getCurrentWeekKey() {
-    const now = new Date();
-    return `${now.getFullYear()}-W${getWeekNumber(now).toString().padStart(2, '0')}`;
-}
+// Ranked board ids (see lib/rankedBoards.js). Classic boards keep the ids
+// they had before modes existed.
+const modePrefix = mode => (mode === DEFAULT_MODE ? '' : `${mode}/`);
+const allTimeBoardId = (mode = DEFAULT_MODE) => `${modePrefix(mode)}alltime`;
+const seasonBoardId = (period, key = calendar.key(period), mode = DEFAULT_MODE) => `${modePrefix(mode)}${period}:${key}`;
 
-function getWeekDates(weekKey) {
-    const [year, week] = weekKey.split('-W').map(Number);
-    const jan1 = new Date(year, 0, 1);
-    const days = (week - 1) * 7 - jan1.getDay() + 1;
-    const start = new Date(year, 0, 1 + days);
-    const end = new Date(start);
-    end.setDate(start.getDate() + 6);
-    end.setHours(23, 59, 59, 999);
-    return { start, end };
+// ?period= query param, defaulting to weekly; null if not an active period
+function parsePeriod(value) {
+    const period = value || 'weekly';
+    return SEASON_PERIODS.includes(period) ? period : null;
 }
 
-function getTimeUntilReset() {
-    const now = new Date();
-    const dayOfWeek = now.getDay();
-    const daysUntilMonday = dayOfWeek === 0 ? 1 : 8 - dayOfWeek;
-    const nextMonday = new Date(now);
-    nextMonday.setDate(now.getDate() + daysUntilMonday);
-    nextMonday.setHours(0, 0, 0, 0);
-    return nextMonday - now;
+// ?mode= / body mode, defaulting to classic; null if not a configured mode
+function parseMode(value) {
+    const mode = value || DEFAULT_MODE;
+    return GAME_MODES.some(m => m.id === mode) ? mode : null;
 }
 
+// ==========================================
+// Request Schemas
+// ==========================================
+// Every route declares its inputs and response with spec() (lib/schema.js),
+// right before the handler. Invalid requests get 400
+//   { error: 'Invalid request', errors: [{ in, field, message }] }
+// and GET /api/openapi.json documents the API from the same specs.
+
+const modeField = t.enum(GAME_MODES.map(m => m.id), { description: `Game mode (default ${DEFAULT_MODE})` });
+const periodField = t.enum(SEASON_PERIODS, { description: 'Season period (default weekly)' });
+const limitField = (fallback, max) => t.integer({ minimum: 1, description: `Default ${fallback}, capped at ${max}` });
+// Telegram ids arrive as strings or numbers
+const userIdField = t.anyOf(t.string({ pattern: '^\\d{1,20}$' }), t.integer({ minimum: 1 }));
+const reasonField = t.string({ minLength: 1, maxLength: 500 });
+// expiresAt (ms or ISO date) or duration (seconds); neither means no expiry
+const expiryFields = {
+    expiresAt: t.anyOf(t.integer(), t.string({ format: 'date-time' })),
+    duration: t.number({ minimum: 1, description: 'Seconds' })
+};
+// Display fields game clients echo with scores. Names aren't among them (see playerName).
+const displayFields = {
+    nameColor: t.nullable(t.string()), isVip: t.nullable(t.boolean()), isVVIP: t.nullable(t.boolean())
+};
+// Query of the paged board routes (see boardPage)
+const boardQuery = {
+    mode: modeField,
+    limit: limitField(LEADERBOARD_PAGE_SIZE, LEADERBOARD_MAX_PAGE),
+    offset: t.integer({ minimum: 0 }),
+    cursor: t.string({ description: 'nextCursor of the previous page' }),
+    around: t.string({ description: 'Player id to centre the page on' }),
+    size: t.integer({ minimum: 1, maximum: 50, description: 'Neighbours each side with around (default 5)' })
+};
+const achievementsField = t.array(t.ref('AchievementUnlock'), { description: 'Completed by this request' });
+const success = t.ref('Success');
+
 // ==========================================
 // Data Persistence
 // ==========================================
 
-const DATA_FILE = path.join(__dirname, 'data.json');
+const storage = createStorage({ driver: STORAGE_DRIVER, dataDir: __dirname });
+const db = createDb(storage);
+console.log(`[DB] Loaded (${storage.driver}):`, db.users.size, 'users');
+if (!db.currentWeek) db.currentWeek = calendar.key('weekly');
 
-const defaultData = {
-    users: {},
-    usernames: {},
-    payments: [],
-    weeklyLeaderboard: {},
-    allTimeLeaderboard: [],
-    friends: {},
-    activityLog: [],
-    stats: { totalUsers: 0, totalGamesPlayed: 0, totalRevenue: 0 },
-    currentWeek: getCurrentWeekKey()
-};
+function shutdown() {
+    try { db.close(); } catch (e) { console.error('[DB] Close error:', e.message); }
+    process.exit();
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
-function loadData() {
-    try {
-        if (fs.existsSync(DATA_FILE)) {
-            const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-            console.log('[DB] Loaded:', Object.keys(data.users || {}).length, 'users');
-            return { ...defaultData, ...data };
+// SSE hub: pushes leaderboard, presence and admin activity (see Live Updates)
+const live = createLiveEvents({ maxPerOwner: LIVE_MAX_STREAMS });
+
+const rankedBoards = createRankedBoards({ db });
+rankedBoards.load();
+const importedEntries = rankedBoards.importLegacy();
+if (importedEntries) console.log(`[DB] Moved ${importedEntries} leaderboard entries to ranked boards`);
+
+const wallet = createWallet({ db });
+const catalog = createCatalog({ db });
+catalog.seed();
+const moderation = createModeration({ db, addActivity });
+const usernameRules = createUsernameRules({
+    db, minLength: USERNAME_MIN_LENGTH, maxLength: USERNAME_MAX_LENGTH,
+    pattern: USERNAME_PATTERN, renameCooldownMs: USERNAME_RENAME_COOLDOWN * 1000
+});
+usernameRules.rekey();
+const analytics = createAnalytics({ db, dayKey: ts => calendar.key('daily', new Date(ts)) });
+if (analytics.backfill(paymentItem)) console.log('[Analytics] Backfilled daily stats');
+const gameHistory = createGameHistory({
+    db, dayKey: ts => calendar.key('daily', new Date(ts)), weekKey: ts => calendar.key('weekly', new Date(ts)),
+    defaultMode: DEFAULT_MODE
+});
+const achievements = createAchievements({
+    db, wallet, addActivity, dayKey: ts => calendar.key('daily', new Date(ts)),
+    // Lifetime progress for players tracked for the first time
+    baseline: odairy => {
+        const u = db.users.get(odairy);
+        // gamesPlayed counts starts; only finished games count towards `games`
+        return { games: gameHistory.countOf(odairy), score: u?.highScore || 0, referrals: referrals.referralsOf(odairy).length };
+    }
+});
+achievements.seed();
+const seasons = createSeasonCloseout({
+    db, wallet, bot, rewards: SEASON_REWARDS, notifyTop: SEASON_NOTIFY_TOP,
+    webappUrl: WEBAPP_URL, addActivity, boardOf: week => rankedBoards.entries(seasonBoardId('weekly', week)),
+    isEligible: id => !moderation.isRestricted(id)
+});
+
+const broadcasts = createBroadcasts({
+    db, bot, webappUrl: WEBAPP_URL, rate: BROADCAST_RATE, addActivity,
+    // Recipient ids for a parsed target; banned players are left out
+    resolveTarget: target => {
+        if (target.type === 'top') {
+            return rankedBoards.top(seasonBoardId('weekly'), target.n, moderation.hiddenFrom(null))
+                .map(e => e.odairy).filter(id => !moderation.isBanned(id));
         }
-    } catch (e) { console.error('[DB] Load error:', e.message); }
-    return { ...defaultData };
-}
+        const since = target.type === 'active' ? Date.now() - target.days * 86400000 : 0;
+        return Array.from(db.users.values())
+            .filter(u => (u.lastSeen || 0) >= since && !moderation.isBanned(u.odairy))
+            .map(u => u.odairy);
+    }
+});
 
-function saveData() {
-    try {
-        fs.writeFileSync(DATA_FILE, JSON.stringify({
-            users: Object.fromEntries(db.users),
-            usernames: Object.fromEntries(db.usernames),
-            payments: db.payments.slice(-500),
-            weeklyLeaderboard: db.weeklyLeaderboard,
-            allTimeLeaderboard: db.allTimeLeaderboard.slice(0, 500),
-            friends: Object.fromEntries(db.friends),
-            activityLog: db.activityLog.slice(0, 200),
-            stats: db.stats,
-            currentWeek: db.currentWeek
-        }, null, 2));
-    } catch (e) { console.error('[DB] Save error:', e.message); }
-}
-
-setInterval(saveData, 30000);
-process.on('SIGINT', () => { saveData(); process.exit(); });
-process.on('SIGTERM', () => { saveData(); process.exit(); });
-
-// Initialize
-const loadedData = loadData();
-const db = {
-    onlineUsers: new Map(),
-    users: new Map(Object.entries(loadedData.users || {})),
-    usernames: new Map(Object.entries(loadedData.usernames || {})),
-    payments: loadedData.payments || [],
-    weeklyLeaderboard: loadedData.weeklyLeaderboard || {},
-    allTimeLeaderboard: loadedData.allTimeLeaderboard || [],
-    friends: new Map(Object.entries(loadedData.friends || {})),
-    activityLog: loadedData.activityLog || [],
-    stats: loadedData.stats || defaultData.stats,
-    currentWeek: loadedData.currentWeek || getCurrentWeekKey()
-};
+const groupChats = createGroupChats({ db });
+const accountData = createAccountData({ db, secret: SESSION_SECRET, rankedBoards, groupChats, addActivity });
 
 function checkNewWeek() {
-    const week = getCurrentWeekKey();
+    const week = calendar.key('weekly');
     if (db.currentWeek !== week) {
-        console.log(`[Weekly] New week: ${db.currentWeek} -> ${week}`);
-        db.currentWeek = week;
-        if (!db.weeklyLeaderboard[week]) db.weeklyLeaderboard[week] = [];
-        saveData();
+        const previous = db.currentWeek;
+        console.log(`[Weekly] New week: ${previous} -> ${week}`);
+        db.transaction(() => {
+            // Freeze in the same commit as the switch; payouts follow
+            if (previous && rankedBoards.has(seasonBoardId('weekly', previous))) seasons.freeze(previous);
+            db.currentWeek = week;
+            db.save('currentWeek');
+        });
+        if (db.seasonResults.has(previous)) {
+            seasons.closeOut(previous).catch(e => console.error(`[Season] Close-out ${previous} failed:`, e.message));
+        }
     }
 }
 setInterval(checkNewWeek, 3600000);
+seasons.resumePending();
+broadcasts.kick();
 checkNewWeek();
 
-db.stats.totalUsers = db.users.size;
+if (db.stats.totalUsers !== db.users.size) {
+    db.stats.totalUsers = db.users.size;
+    db.save('stats');
+}
 
 // Helpers
 function addActivity(type, data) {
-    db.activityLog.unshift({ type, data, timestamp: Date.now() });
-    if (db.activityLog.length > 200) db.activityLog = db.activityLog.slice(0, 200);
+    const entry = { type, data, timestamp: Date.now() };
+    db.append('activityLog', entry);
+    live.publish('admin', 'activity', entry);
+}
+
+// Product id for star purchases, otherwise the raw invoice payload
+function paymentItem(payload) {
+    return String(payload).startsWith('stars:') ? payload.split(':')[1] : payload;
 }
 
 function cleanupOffline() {
@@ -151,9 +318,42 @@ function cleanupOffline() {
     for (const [id, u] of db.onlineUsers) {
         if (now - u.lastSeen > 300000) db.onlineUsers.delete(id);
     }
+    broadcastOnline();
 }
 setInterval(cleanupOffline, 60000);
 
+const gameSessions = createGameSessions({
+    db, secret: SESSION_SECRET,
+    maxPointsPerSecond: MAX_POINTS_PER_SECOND, maxGameLength: MAX_GAME_LENGTH
+});
+setInterval(gameSessions.cleanup, 600000);
+
+// Checks sessionId + score for end/submit against the game session; records
+// and answers rejections. Returns { session, elapsedMs } when the request may
+// proceed, otherwise null.
+function checkScoreSession(req, res, use) {
+    const { sessionId, score } = req.body;
+    const result = gameSessions.consume(sessionId, req.odairy, score, use);
+    if (!result.reason) return result;
+    
+    const entry = {
+        odairy: req.odairy, score, sessionId: String(sessionId).split('.')[0],
+        route: use, reason: result.reason, elapsedMs: result.elapsedMs ?? null, timestamp: Date.now()
+    };
+    db.append('rejectedScores', entry);
+    addActivity('score_rejected', { odairy: req.odairy, score, reason: result.reason });
+    console.warn(`[Score] Rejected ${req.odairy}: ${score} (${result.reason})`);
+    sendInvalid(res, 'body', /score/.test(result.reason) ? 'score' : 'sessionId', 'Score rejected', { reason: result.reason });
+    return null;
+}
+
+// Banned players get 403 on heartbeat, game and submit routes (after playerAuth)
+function rejectBanned(req, res, next) {
+    const ban = moderation.isBanned(req.odairy);
+    if (ban) return res.status(403).json({ error: 'Banned', reason: ban.reason, expiresAt: ban.expiresAt });
+    next();
+}
+
 function getDisplayName(o, u, f, l) {
     if (db.users.has(o) && db.users.get(o).displayName) return db.users.get(o).displayName;
     if (u) return u;
@@ -161,42 +361,73 @@ function getDisplayName(o, u, f, l) {
     return `Player_${String(o).slice(-4)}`;
 }
 
+// The name shown for the player on heartbeat and game routes: the registered
+// name, else their Telegram name. Names the client sends along are ignored;
+// they change only through /api/register-username (rules, claim, history) or
+// an admin rename.
+function playerName(req) {
+    const { username, first_name: firstName, last_name: lastName } = req.telegramUser;
+    return getDisplayName(req.odairy, username, firstName, lastName);
+}
+
 // ==========================================
 // Routes
 // ==========================================
 
-app.get('/', (req, res) => {
+app.get('/', spec({
+    summary: 'Server status and current seasons',
+    response: t.object({
+        status: t.string(), version: t.string(), currentWeek: t.string(),
+        weekStart: t.string({ format: 'date-time' }), weekEnd: t.string({ format: 'date-time' }),
+        timeUntilReset: t.integer({ description: 'ms' }), timeZone: t.string(),
+        seasons: t.object({}, [], { description: 'calendar.describe() by period' }),
+        online: t.integer(), users: t.integer()
+    })
+}), (req, res) => {
     checkNewWeek();
-    const weekDates = getWeekDates(db.currentWeek);
+    const week = calendar.describe('weekly');
     res.json({ 
         status: 'ok', version: '3.5',
-        currentWeek: db.currentWeek,
-        weekStart: weekDates.start,
-        weekEnd: weekDates.end,
-        timeUntilReset: getTimeUntilReset(),
+        currentWeek: week.key,
+        weekStart: week.start,
+        weekEnd: week.end,
+        timeUntilReset: week.timeUntilReset,
+        timeZone: calendar.timeZone,
+        seasons: Object.fromEntries(SEASON_PERIODS.map(p => [p, calendar.describe(p)])),
         online: db.onlineUsers.size,
         users: db.users.size
     });
 });
 
 // Heartbeat
-app.post('/api/heartbeat', (req, res) => {
-    const { userId, username, firstName, lastName, avatar, score, displayName, nameColor, isVip, isVVIP } = req.body;
-    if (!userId) return res.status(400).json({ error: 'userId required' });
+app.post('/api/heartbeat', playerAuth, limit('heartbeat'), rejectBanned, spec({
+    summary: 'Mark the player online',
+    description: 'Creates the player on first call. A start_param of ref_<id> or grp_<chatId> in initData credits a referral or joins a group board.',
+    body: t.object({
+        ...displayFields, avatar: t.nullable(t.string()), score: t.nullable(t.number({ minimum: 0 }))
+    }),
+    response: t.object({ success: t.boolean(), online: t.integer(), currentWeek: t.string() }),
+    errors: { 403: 'Banned' }
+}), (req, res) => {
+    const { avatar, score, nameColor, isVip, isVVIP } = req.body;
+    const { username, first_name: firstName, last_name: lastName } = req.telegramUser;
     
     checkNewWeek();
     const now = Date.now();
-    const odairy = String(userId);
-    const name = displayName || getDisplayName(odairy, username, firstName, lastName);
+    const odairy = req.odairy;
+    const name = playerName(req);
     
     db.onlineUsers.set(odairy, {
         odairy, username: name, displayName: name, nameColor, isVip, isVVIP,
         avatar: avatar || '🎮', lastSeen: now,
         joinedAt: db.onlineUsers.get(odairy)?.joinedAt || now, score: score || 0
     });
+    broadcastOnline();
     
+    analytics.recordActive(odairy, { isNew: !db.users.has(odairy) });
     if (!db.users.has(odairy)) {
         db.stats.totalUsers++;
+        db.save('stats');
         db.users.set(odairy, {
             odairy, username: name, displayName: name, nameColor, isVip, isVVIP,
             avatar: avatar || '🎮', telegramUsername: username || null,
@@ -204,297 +435,1031 @@ app.post('/api/heartbeat', (req, res) => {
             firstSeen: now, lastSeen: now, gamesPlayed: 0, highScore: 0, totalSpent: 0
         });
         addActivity('new_user', { odairy, username: name });
+        // Launched through t.me/<bot>/<app>?startapp=ref_<id>
+        const startParam = req.initData.start_param;
+        if (startParam?.startsWith('ref_')) referrals.attribute(startParam.slice(4), odairy, 'webapp');
     } else {
         const u = db.users.get(odairy);
         u.lastSeen = now;
-        if (displayName) u.displayName = displayName;
         if (nameColor !== undefined) u.nameColor = nameColor;
         if (isVip !== undefined) u.isVip = isVip;
         if (isVVIP !== undefined) u.isVVIP = isVVIP;
         if (avatar) u.avatar = avatar;
     }
+    db.save('users', odairy);
+    
+    // Opened through a group's /top link (startapp=grp_<chatId>)
+    const launchChat = parseLaunchParam(req.initData.start_param);
+    if (launchChat && groupChats.recordLaunch(launchChat, odairy)) addActivity('group_join', { odairy, chatId: launchChat });
     
     res.json({ success: true, online: db.onlineUsers.size, currentWeek: db.currentWeek });
 });
 
-// Game events
-app.post('/api/game/start', (req, res) => {
-    const { userId, username } = req.body;
-    db.stats.totalGamesPlayed++;
-    if (db.users.has(String(userId))) db.users.get(String(userId)).gamesPlayed++;
-    addActivity('game_start', { odairy: userId, username });
-    res.json({ success: true });
+app.get('/api/modes', spec({
+    summary: 'Configured game modes',
+    response: t.object({
+        modes: t.array(t.object({ id: t.string(), title: t.string() })),
+        default: t.string()
+    })
+}), (req, res) => res.json({ modes: GAME_MODES, default: DEFAULT_MODE }));
+
+// Game events. start takes { mode } (default classic); end and submit score
+// on the board of the mode the game was started in.
+app.post('/api/game/start', playerAuth, limit('game'), rejectBanned, spec({
+    summary: 'Start a game',
+    body: t.object({ mode: modeField, username: t.nullable(t.string()) }),
+    response: t.object({
+        success: t.boolean(), sessionId: t.string({ description: 'Pass to /api/game/end and /api/leaderboard/submit' }),
+        startedAt: t.integer(), mode: t.string()
+    }),
+    errors: { 403: 'Banned' }
+}), (req, res) => {
+    const { username } = req.body;
+    const odairy = req.odairy;
+    const mode = parseMode(req.body.mode);
+    if (!mode) return sendInvalid(res, 'body', 'mode', 'Invalid mode');
+    db.transaction(() => {
+        db.stats.totalGamesPlayed++;
+        db.save('stats');
+        if (db.users.has(odairy)) {
+            db.users.get(odairy).gamesPlayed++;
+            db.save('users', odairy);
+        }
+        analytics.recordGameStart(odairy);
+        addActivity('game_start', { odairy, username, mode });
+    });
+    const { sessionId, startedAt } = gameSessions.start(odairy, mode);
+    res.json({ success: true, sessionId, startedAt, mode });
 });
 
-app.post('/api/game/end', (req, res) => {
-    const { userId, username, score, displayName, nameColor, isVip, isVVIP } = req.body;
-    const odairy = String(userId);
+app.post('/api/game/end', playerAuth, limit('game'), rejectBanned, spec({
+    summary: 'Finish a game and record its score',
+    body: t.object({ sessionId: t.string({ minLength: 1 }), score: t.integer({ minimum: 0 }), ...displayFields }, ['sessionId', 'score']),
+    response: t.object({ success: t.boolean(), mode: t.string(), achievements: achievementsField }),
+    errors: { 400: 'Score rejected (reason: unknown_session, score_too_high_for_duration, ...)', 403: 'Banned' }
+}), (req, res) => {
+    const { score, nameColor, isVip, isVVIP } = req.body;
+    const odairy = req.odairy;
+    const name = playerName(req);
+    const accepted = checkScoreSession(req, res, 'end');
+    if (!accepted) return;
+    const mode = sessionMode(accepted.session);
     checkNewWeek();
     
-    if (db.users.has(odairy)) {
-        const u = db.users.get(odairy);
-        if (score > u.highScore) u.highScore = score;
-        if (displayName) u.displayName = displayName;
-    }
-    
-    updateWeeklyLeaderboard(odairy, displayName || username, score, nameColor, isVip, isVVIP);
-    updateAllTimeLeaderboard(odairy, displayName || username, score, nameColor, isVip, isVVIP);
-    addActivity('game_end', { odairy, username: displayName || username, score });
-    res.json({ success: true });
+    const completed = db.transaction(() => {
+        gameHistory.record(odairy, {
+            sessionId: String(req.body.sessionId).split('.')[0], mode, score,
+            startedAt: accepted.session.startedAt, durationMs: accepted.elapsedMs
+        });
+        if (db.users.has(odairy)) {
+            const u = db.users.get(odairy);
+            if (score > u.highScore) u.highScore = score;
+            db.save('users', odairy);
+        }
+        
+        updateSeasonLeaderboards(mode, odairy, name, score, nameColor, isVip, isVVIP);
+        updateAllTimeLeaderboard(mode, odairy, name, score, nameColor, isVip, isVVIP);
+        analytics.recordGameEnd();
+        addActivity('game_end', { odairy, username: name, score, mode });
+        referrals.reachMilestone(odairy, 'first_game');
+        // Counted here, once the session is spent, so starting games without finishing them earns nothing
+        return achievements.track(odairy, { games: 1, score, points: score, weeklyRank: weeklyRankOf(odairy, mode) });
+    });
+    res.json({ success: true, mode, achievements: announceAchievements(odairy, completed) });
 });
 
 // ==========================================
 // Leaderboard Functions
 // ==========================================
 
-function updateWeeklyLeaderboard(odairy, username, score, nameColor, isVip, isVVIP) {
+// Sessions from before modes existed are classic games
+const sessionMode = session => session.mode || DEFAULT_MODE;
+
+function updateSeasonLeaderboard(period, mode, odairy, username, score, nameColor, isVip, isVVIP) {
     if (!odairy || !score) return;
-    const week = getCurrentWeekKey();
-    if (!db.weeklyLeaderboard[week]) db.weeklyLeaderboard[week] = [];
-    
-    const lb = db.weeklyLeaderboard[week];
+    const key = calendar.key(period);
     const avatar = db.users.get(odairy)?.avatar || '🎮';
-    const idx = lb.findIndex(e => e.odairy === odairy);
+    const { improved, previous, position } = rankedBoards.submit(seasonBoardId(period, key, mode), odairy, score, {
+        username, avatar, nameColor, isVip, isVVIP
+    });
     
-    if (idx !== -1) {
-        if (score > lb[idx].score) lb[idx].score = score;
-        lb[idx].username = username;
-        lb[idx].nameColor = nameColor;
-        lb[idx].isVip = isVip;
-        lb[idx].isVVIP = isVVIP;
-        lb[idx].avatar = avatar;
-    } else {
-        lb.push({ odairy, username, score, avatar, nameColor, isVip, isVVIP, lastUpdated: Date.now() });
+    if (period === 'weekly' && improved) {
+        if (position < LIVE_BOARD_SIZE) pushWeeklyBoard(key, mode);
+        notifyFriendsBeaten(odairy, username, previous || 0, score, key, mode);
+    }
+}
+
+function updateSeasonLeaderboards(mode, ...args) {
+    for (const period of SEASON_PERIODS) updateSeasonLeaderboard(period, mode, ...args);
+}
+
+// Sets display fields (username, avatar) on the player's current season and
+// all-time entries in every mode
+function updateBoardEntries(odairy, fields) {
+    for (const { id: mode } of GAME_MODES) {
+        for (const period of SEASON_PERIODS) rankedBoards.patch(seasonBoardId(period, undefined, mode), odairy, fields);
+        rankedBoards.patch(allTimeBoardId(mode), odairy, fields);
     }
-    
-    lb.sort((a, b) => b.score - a.score);
-    db.weeklyLeaderboard[week] = lb.slice(0, 100);
 }
 
-function updateAllTimeLeaderboard(odairy, username, score, nameColor, isVip, isVVIP) {
+function updateAllTimeLeaderboard(mode, odairy, username, score, nameColor, isVip, isVVIP) {
     if (!odairy || !score) return;
     const avatar = db.users.get(odairy)?.avatar || '🎮';
-    const idx = db.allTimeLeaderboard.findIndex(e => e.odairy === odairy);
-    
-    if (idx !== -1) {
-        if (score > db.allTimeLeaderboard[idx].score) db.allTimeLeaderboard[idx].score = score;
-        db.allTimeLeaderboard[idx].username = username;
-        db.allTimeLeaderboard[idx].nameColor = nameColor;
-        db.allTimeLeaderboard[idx].isVip = isVip;
-        db.allTimeLeaderboard[idx].isVVIP = isVVIP;
-        db.allTimeLeaderboard[idx].avatar = avatar;
-    } else {
-        db.allTimeLeaderboard.push({ odairy, username, score, avatar, nameColor, isVip, isVVIP });
-    }
-    
-    db.allTimeLeaderboard.sort((a, b) => b.score - a.score);
-    db.allTimeLeaderboard = db.allTimeLeaderboard.slice(0, 500);
+    rankedBoards.submit(allTimeBoardId(mode), odairy, score, { username, avatar, nameColor, isVip, isVVIP });
 }
 
 // ==========================================
 // Leaderboard API
 // ==========================================
 
-// Current week (default)
-app.get('/api/leaderboard', (req, res) => {
+// Boards below hide shadow-banned players from everyone but themselves
+// (optionalPlayerAuth tells us who is looking) and rank ties by who reached
+// the score first. Paged boards take:
+//   ?limit=&offset=      page by position (limit defaults to 100)
+//   ?cursor=             the page after a previous page's nextCursor, stable while scores change
+//   ?around=<id>&size=   that player and `size` neighbours on each side (default 5)
+// and answer { leaderboard: [entry + rank], total, nextCursor } (+ player: { rank, total, percentile } with around).
+// Every board route takes ?mode= (default classic) and echoes it as `mode`.
+
+// Returns the response fields or { error, status }
+function boardPage(boardId, query, viewerId) {
+    const exclude = moderation.hiddenFrom(viewerId);
+    if (query.around) {
+        const target = String(query.around);
+        const size = Math.min(Number(query.size) || 5, 50);
+        const player = !exclude.has(target) && rankedBoards.rank(boardId, target, exclude);
+        if (!player) return { error: 'Player not ranked', status: 404 };
+        return {
+            leaderboard: rankedBoards.around(boardId, target, size, exclude),
+            total: player.total, player: { odairy: target, ...player }
+        };
+    }
+    const limit = Math.min(Math.floor(Number(query.limit)) || LEADERBOARD_PAGE_SIZE, LEADERBOARD_MAX_PAGE);
+    const offset = Math.max(Math.floor(Number(query.offset)) || 0, 0);
+    const page = rankedBoards.page(boardId, { limit, offset, cursor: query.cursor, exclude });
+    if (!page) return { error: 'Invalid cursor', status: 400, field: 'cursor' };
+    return { leaderboard: page.entries, total: page.total, nextCursor: page.nextCursor };
+}
+
+function sendBoardPage(res, boardId, req, fields) {
+    const page = boardPage(boardId, req.query, req.odairy);
+    if (page.error) return sendError(req, res, page);
+    res.json({ ...fields, ...page });
+}
+
+// Current season, ?period=daily|weekly|monthly (default weekly)
+app.get('/api/leaderboard', optionalPlayerAuth, limit('read'), spec({
+    summary: 'Current season board',
+    query: t.object({ period: periodField, ...boardQuery }),
+    response: t.allOf(t.ref('BoardPage'), t.object({
+        period: t.string(), season: t.string(), seasonStart: t.string({ format: 'date-time' }), seasonEnd: t.string({ format: 'date-time' }),
+        week: t.string({ description: 'weekly only' }), weekStart: t.string({ format: 'date-time' }), weekEnd: t.string({ format: 'date-time' }),
+        timeUntilReset: t.integer()
+    })),
+    errors: { 400: 'Invalid cursor', 404: 'Player not ranked (around)' }
+}), (req, res) => {
     checkNewWeek();
-    const week = getCurrentWeekKey();
-    const dates = getWeekDates(week);
-    res.json({
-        week, weekStart: dates.start, weekEnd: dates.end,
-        timeUntilReset: getTimeUntilReset(),
-        leaderboard: (db.weeklyLeaderboard[week] || []).slice(0, 100)
+    const period = parsePeriod(req.query.period);
+    if (!period) return sendInvalid(res, 'query', 'period', 'Invalid period');
+    const mode = parseMode(req.query.mode);
+    if (!mode) return sendInvalid(res, 'query', 'mode', 'Invalid mode');
+    const season = calendar.describe(period);
+    sendBoardPage(res, seasonBoardId(period, season.key, mode), req, {
+        mode, period, season: season.key, seasonStart: season.start, seasonEnd: season.end,
+        ...(period === 'weekly' && { week: season.key, weekStart: season.start, weekEnd: season.end }),
+        timeUntilReset: season.timeUntilReset
     });
 });
 
 // All-time
-app.get('/api/leaderboard/alltime', (req, res) => {
-    res.json({ leaderboard: db.allTimeLeaderboard.slice(0, 100) });
+app.get('/api/leaderboard/alltime', optionalPlayerAuth, limit('read'), spec({
+    summary: 'All-time board',
+    query: t.object(boardQuery),
+    response: t.ref('BoardPage'),
+    errors: { 400: 'Invalid cursor', 404: 'Player not ranked (around)' }
+}), (req, res) => {
+    const mode = parseMode(req.query.mode);
+    if (!mode) return sendInvalid(res, 'query', 'mode', 'Invalid mode');
+    sendBoardPage(res, allTimeBoardId(mode), req, { mode });
 });
 
 // Specific week
-app.get('/api/leaderboard/week/:weekKey', (req, res) => {
+app.get('/api/leaderboard/week/:weekKey', optionalPlayerAuth, limit('read'), spec({
+    summary: 'Board of a past or current week',
+    params: t.object({ weekKey: t.string({ example: '2026-W43' }) }),
+    query: t.object(boardQuery),
+    response: t.allOf(t.ref('BoardPage'), t.object({
+        week: t.string(), weekStart: t.string({ format: 'date-time' }), weekEnd: t.string({ format: 'date-time' })
+    })),
+    errors: { 400: 'Invalid week or cursor', 404: 'Player not ranked (around)' }
+}), (req, res) => {
     const { weekKey } = req.params;
-    res.json({ week: weekKey, leaderboard: db.weeklyLeaderboard[weekKey] || [] });
+    const bounds = calendar.bounds('weekly', weekKey);
+    if (!bounds) return sendInvalid(res, 'path', 'weekKey', 'Invalid week');
+    const mode = parseMode(req.query.mode);
+    if (!mode) return sendInvalid(res, 'query', 'mode', 'Invalid mode');
+    sendBoardPage(res, seasonBoardId('weekly', weekKey, mode), req, { mode, week: weekKey, weekStart: bounds.start, weekEnd: bounds.end });
 });
 
-// User rank
-app.get('/api/leaderboard/rank/:odairy', (req, res) => {
-    const { odairy } = req.params;
-    const week = getCurrentWeekKey();
-    const wLb = db.weeklyLeaderboard[week] || [];
-    res.json({
-        weeklyRank: wLb.findIndex(e => e.odairy === odairy) + 1 || null,
-        allTimeRank: db.allTimeLeaderboard.findIndex(e => e.odairy === odairy) + 1 || null,
-        weeklyTotal: wLb.length,
-        allTimeTotal: db.allTimeLeaderboard.length
+// Specific season of any period
+app.get('/api/leaderboard/season/:period/:key', optionalPlayerAuth, limit('read'), spec({
+    summary: 'Board of any season',
+    params: t.object({ period: t.enum(SEASON_PERIODS), key: t.string({ example: '2026-10' }) }),
+    query: t.object(boardQuery),
+    response: t.allOf(t.ref('BoardPage'), t.object({
+        period: t.string(), season: t.string(), seasonStart: t.string({ format: 'date-time' }), seasonEnd: t.string({ format: 'date-time' })
+    })),
+    errors: { 400: 'Invalid season or cursor', 404: 'Player not ranked (around)' }
+}), (req, res) => {
+    const period = parsePeriod(req.params.period);
+    const bounds = period && calendar.bounds(period, req.params.key);
+    if (!bounds) return sendInvalid(res, 'path', period ? 'key' : 'period', 'Invalid season');
+    const mode = parseMode(req.query.mode);
+    if (!mode) return sendInvalid(res, 'query', 'mode', 'Invalid mode');
+    sendBoardPage(res, seasonBoardId(period, req.params.key, mode), req, {
+        mode, period, season: req.params.key, seasonStart: bounds.start, seasonEnd: bounds.end
     });
 });
 
+// Current weekly rank as the player sees it, null when unranked
+function weeklyRankOf(odairy, mode = DEFAULT_MODE) {
+    return rankedBoards.rank(seasonBoardId('weekly', undefined, mode), odairy, moderation.hiddenFrom(odairy))?.rank || null;
+}
+
+// User rank in one mode, as the viewer (default: the player) sees it.
+// percentile: share of players at or below the rank (100 for #1).
+function getPlayerRanks(odairy, mode = DEFAULT_MODE, viewerId = odairy) {
+    const exclude = moderation.hiddenFrom(viewerId);
+    const rankOn = id => rankedBoards.rank(id, odairy, exclude) || { rank: null, total: rankedBoards.count(id, exclude), percentile: null };
+    const seasons = {};
+    for (const period of SEASON_PERIODS) {
+        seasons[period] = { season: calendar.key(period), ...rankOn(seasonBoardId(period, undefined, mode)) };
+    }
+    const allTime = rankOn(allTimeBoardId(mode));
+    return {
+        mode,
+        weeklyRank: seasons.weekly.rank,
+        allTimeRank: allTime.rank,
+        weeklyTotal: seasons.weekly.total,
+        allTimeTotal: allTime.total,
+        weeklyPercentile: seasons.weekly.percentile,
+        allTimePercentile: allTime.percentile,
+        seasons
+    };
+}
+
+app.get('/api/leaderboard/rank/:odairy', optionalPlayerAuth, limit('read'), spec({
+    summary: "A player's ranks in one mode",
+    query: t.object({ mode: modeField }),
+    response: t.ref('PlayerRanks'),
+    errors: { 404: 'Player not found' }
+}), (req, res) => {
+    const mode = parseMode(req.query.mode);
+    if (!mode) return sendInvalid(res, 'query', 'mode', 'Invalid mode');
+    const { odairy } = req.params;
+    if (moderation.hiddenFrom(req.odairy).has(odairy)) return res.status(404).json({ error: 'Player not found' });
+    res.json(getPlayerRanks(odairy, mode, req.odairy || null));
+});
+
 // Submit score
-app.post('/api/leaderboard/submit', (req, res) => {
-    const { userId, username, score, avatar, displayName, nameColor, isVip, isVVIP } = req.body;
-    const odairy = String(userId);
+app.post('/api/leaderboard/submit', playerAuth, limit('game'), rejectBanned, spec({
+    summary: 'Submit the score of a finished game',
+    description: 'Same session and score as /api/game/end; either call may come first.',
+    body: t.object({
+        sessionId: t.string({ minLength: 1 }), score: t.integer({ minimum: 0 }), avatar: t.nullable(t.string()), ...displayFields
+    }, ['sessionId', 'score']),
+    response: t.object({
+        success: t.boolean(), mode: t.string(), weeklyRank: t.integer({ description: '0 when unranked' }),
+        week: t.string(), achievements: achievementsField
+    }),
+    errors: { 400: 'Score rejected', 403: 'Banned' }
+}), (req, res) => {
+    const { score, avatar, nameColor, isVip, isVVIP } = req.body;
+    const odairy = req.odairy;
+    const name = playerName(req);
+    const accepted = checkScoreSession(req, res, 'submit');
+    if (!accepted) return;
+    const mode = sessionMode(accepted.session);
     checkNewWeek();
     
-    updateWeeklyLeaderboard(odairy, displayName || username, score, nameColor, isVip, isVVIP);
-    updateAllTimeLeaderboard(odairy, displayName || username, score, nameColor, isVip, isVVIP);
-    
-    if (avatar) {
-        const week = getCurrentWeekKey();
-        const we = (db.weeklyLeaderboard[week] || []).find(e => e.odairy === odairy);
-        const ae = db.allTimeLeaderboard.find(e => e.odairy === odairy);
-        if (we) we.avatar = avatar;
-        if (ae) ae.avatar = avatar;
-    }
+    db.transaction(() => {
+        updateSeasonLeaderboards(mode, odairy, name, score, nameColor, isVip, isVVIP);
+        updateAllTimeLeaderboard(mode, odairy, name, score, nameColor, isVip, isVVIP);
+        if (avatar) updateBoardEntries(odairy, { avatar });
+    });
     
-    const week = getCurrentWeekKey();
-    const rank = (db.weeklyLeaderboard[week] || []).findIndex(e => e.odairy === odairy) + 1;
-    res.json({ success: true, weeklyRank: rank, week });
+    const week = calendar.key('weekly');
+    const rank = weeklyRankOf(odairy, mode) || 0;
+    const completed = achievements.track(odairy, { weeklyRank: rank || null });
+    res.json({ success: true, mode, weeklyRank: rank, week, achievements: announceAchievements(odairy, completed) });
 });
 
-// Friends leaderboard
-app.get('/api/leaderboard/friends/:odairy', (req, res) => {
+// Friends leaderboard, as the viewer (default: the player) sees it
+function getFriendsBoard(odairy, period = 'weekly', mode = DEFAULT_MODE, viewerId = odairy) {
+    const id = seasonBoardId(period, undefined, mode);
+    const hidden = moderation.hiddenFrom(viewerId);
+    const all = [odairy, ...friendGraph.friendsOf(odairy).filter(f => !friendGraph.isBlocked(odairy, f))];
+    return all.filter(f => !hidden.has(f)).map(f => rankedBoards.get(id, f)).filter(Boolean).sort(compareEntries).slice(0, 50);
+}
+
+app.get('/api/leaderboard/friends/:odairy', optionalPlayerAuth, limit('read'), spec({
+    summary: 'Board of a player and their friends (top 50)',
+    query: t.object({ period: periodField, mode: modeField }),
+    response: t.object({
+        leaderboard: t.array(t.ref('LeaderboardEntry')), mode: t.string(), period: t.string(), season: t.string(),
+        week: t.string({ description: 'weekly only' })
+    })
+}), (req, res) => {
     const { odairy } = req.params;
-    const friends = db.friends.get(odairy) || [];
-    const all = [odairy, ...friends];
-    const week = getCurrentWeekKey();
-    const lb = (db.weeklyLeaderboard[week] || []).filter(e => all.includes(e.odairy)).slice(0, 50);
-    res.json({ leaderboard: lb, week });
-});
-
-// History
-app.get('/api/leaderboard/history', (req, res) => {
-    const weeks = Object.keys(db.weeklyLeaderboard).sort().reverse().slice(0, 10);
-    const history = weeks.map(w => ({
-        week: w, ...getWeekDates(w),
-        winner: db.weeklyLeaderboard[w]?.[0] || null,
-        totalPlayers: db.weeklyLeaderboard[w]?.length || 0
-    }));
+    const period = parsePeriod(req.query.period);
+    if (!period) return sendInvalid(res, 'query', 'period', 'Invalid period');
+    const mode = parseMode(req.query.mode);
+    if (!mode) return sendInvalid(res, 'query', 'mode', 'Invalid mode');
+    const season = calendar.key(period);
+    const lb = getFriendsBoard(odairy, period, mode, req.odairy || null);
+    res.json({ leaderboard: lb, mode, period, season, ...(period === 'weekly' && { week: season }) });
+});
+
+// Group chat leaderboard: this week's scores of the players who opened the
+// game from the chat (see lib/groupChats.js)
+function getGroupBoard(chatId, mode = DEFAULT_MODE, viewerId = null) {
+    const id = seasonBoardId('weekly', undefined, mode);
+    const hidden = moderation.hiddenFrom(viewerId);
+    return groupChats.membersOf(chatId).filter(m => !hidden.has(m))
+        .map(m => rankedBoards.get(id, m)).filter(Boolean).sort(compareEntries).slice(0, 50);
+}
+
+app.get('/api/leaderboard/group/:chatId', optionalPlayerAuth, limit('read'), spec({
+    summary: "A group chat's weekly board (top 50)",
+    params: t.object({ chatId: t.string({ pattern: '^-?\\d{1,20}$' }) }),
+    query: t.object({ mode: modeField }),
+    response: t.object({
+        chat: t.object({ id: t.string(), title: t.string() }), mode: t.string(), period: t.string(), week: t.string(),
+        leaderboard: t.array(t.ref('LeaderboardEntry')), members: t.integer()
+    }),
+    errors: { 404: 'Unknown chat' }
+}), (req, res) => {
+    const chat = groupChats.get(req.params.chatId);
+    if (!chat) return res.status(404).json({ error: 'Unknown chat' });
+    const mode = parseMode(req.query.mode);
+    if (!mode) return sendInvalid(res, 'query', 'mode', 'Invalid mode');
+    const week = calendar.key('weekly');
+    res.json({
+        chat: { id: chat.id, title: chat.title }, mode, period: 'weekly', week,
+        leaderboard: getGroupBoard(chat.id, mode, req.odairy), members: groupChats.membersOf(chat.id).length
+    });
+});
+
+// History, ?period= (default weekly), ?mode=
+app.get('/api/leaderboard/history', limit('read'), spec({
+    summary: 'Winners of the last 10 seasons',
+    query: t.object({ period: periodField, mode: modeField }),
+    response: t.object({
+        history: t.array(t.object({
+            mode: t.string(), period: t.string(), season: t.string(), week: t.string({ description: 'weekly only' }),
+            start: t.string({ format: 'date-time' }), end: t.string({ format: 'date-time' }),
+            winner: t.nullable(t.ref('LeaderboardEntry')), totalPlayers: t.integer()
+        }))
+    })
+}), (req, res) => {
+    const period = parsePeriod(req.query.period);
+    if (!period) return sendInvalid(res, 'query', 'period', 'Invalid period');
+    const mode = parseMode(req.query.mode);
+    if (!mode) return sendInvalid(res, 'query', 'mode', 'Invalid mode');
+    const hidden = moderation.hiddenFrom(null);
+    const keys = rankedBoards.seasonKeys(`${modePrefix(mode)}${period}`).filter(k => calendar.isValidKey(period, k)).sort().reverse().slice(0, 10);
+    const history = keys.map(k => {
+        const id = seasonBoardId(period, k, mode);
+        return {
+            ...(period === 'weekly' && { week: k }), mode, period, season: k, ...calendar.bounds(period, k),
+            winner: rankedBoards.top(id, 1, hidden)[0] || null,
+            totalPlayers: rankedBoards.count(id, hidden)
+        };
+    });
     res.json({ history });
 });
 
+// ==========================================
+// Player Stats
+// ==========================================
+// ?recent= games to list (default 10, max 50), ?days= of games per day
+// (default 30, max 90), ?weeks= of best scores (default 12, max 52),
+// ?mode= to count one mode only (default: all modes)
+
+app.get('/api/me/stats', playerAuth, limit('read'), spec({
+    summary: "The player's game statistics",
+    query: t.object({
+        recent: limitField(10, 50), days: limitField(30, 90), weeks: limitField(12, 52),
+        mode: { ...modeField, description: 'Count one mode only (default all)' }
+    }),
+    response: t.ref('PlayerStats')
+}), (req, res) => {
+    const mode = req.query.mode ? parseMode(req.query.mode) : null;
+    if (req.query.mode && !mode) return sendInvalid(res, 'query', 'mode', 'Invalid mode');
+    res.json(gameHistory.statsOf(req.odairy, {
+        mode,
+        recent: Math.min(Number(req.query.recent) || 10, 50),
+        days: Math.min(Number(req.query.days) || 30, 90),
+        weeks: Math.min(Number(req.query.weeks) || 12, 52)
+    }));
+});
+
+// ==========================================
+// Live Updates
+// ==========================================
+// GET /api/live streams to players (anonymous allowed; signed-in EventSource
+// clients POST /api/live/ticket first and connect with ?ticket=):
+//   online       { online }                     player count changed
+//   leaderboard  { mode, period, week, leaderboard }  a score in the weekly top 100 went up
+//   friend_beat  { friendId, username, score, yourScore, week, mode }  to the friend passed
+// Leaderboard pushes are for the mode picked with ?mode= (default classic).
+// GET /api/admin/live streams `activity` (each activityLog entry) and `online`
+// (ticket from POST /api/admin/live/ticket).
+
+let lastOnline = 0;
+function broadcastOnline() {
+    if (db.onlineUsers.size === lastOnline) return;
+    lastOnline = db.onlineUsers.size;
+    live.publish('player', 'online', { online: lastOnline });
+    live.publish('admin', 'online', { online: lastOnline });
+}
+
+function weeklyBoardEvent(week, mode, viewerId) {
+    const leaderboard = rankedBoards.top(seasonBoardId('weekly', week, mode), LIVE_BOARD_SIZE, moderation.hiddenFrom(viewerId));
+    return { mode, period: 'weekly', week, leaderboard };
+}
+
+// Several updates in one tick go out as a single push
+const pendingBoardPushes = new Set();
+function pushWeeklyBoard(week, mode = DEFAULT_MODE) {
+    const key = `${mode}|${week}`;
+    if (pendingBoardPushes.has(key)) return;
+    pendingBoardPushes.add(key);
+    setImmediate(() => {
+        pendingBoardPushes.delete(key);
+        live.publish('player', 'leaderboard', client => (client.mode === mode ? weeklyBoardEvent(week, mode, client.odairy) : undefined));
+    });
+}
+
+// Tells each friend whose weekly score in the mode the player just went past
+function notifyFriendsBeaten(odairy, username, previous, score, week, mode) {
+    if (moderation.isShadowBanned(odairy)) return;
+    username = username || getDisplayName(odairy);
+    for (const friendId of friendGraph.friendsOf(odairy)) {
+        if (friendGraph.isBlocked(odairy, friendId)) continue;
+        const entry = rankedBoards.get(seasonBoardId('weekly', week, mode), friendId);
+        if (!entry || entry.score < previous || entry.score >= score) continue;
+        live.sendTo('player', friendId, 'friend_beat', { friendId: odairy, username, score, yourScore: entry.score, week, mode });
+    }
+}
+
+// EventSource can't set headers, and credentials in URLs end up in access
+// logs, so streams take a one-time ?ticket= instead. The ticket stands in for
+// the auth headers of the request that got it, for the auth middleware that follows.
+const STREAM_CREDENTIALS = ['authorization', 'x-telegram-init-data', 'x-dev-user-id'];
+
+function issueStreamTicket(channel) {
+    return (req, res) => {
+        const credentials = {};
+        for (const name of STREAM_CREDENTIALS) {
+            if (req.headers[name]) credentials[name] = req.headers[name];
+        }
+        res.json(live.issueTicket(channel, credentials));
+    };
+}
+
+function streamCredentials(channel) {
+    return (req, res, next) => {
+        if (!req.query.ticket) return next();
+        const credentials = live.redeemTicket(channel, String(req.query.ticket));
+        if (!credentials) return res.status(401).json({ error: 'Invalid or expired ticket' });
+        Object.assign(req.headers, credentials);
+        next();
+    };
+}
+
+const streamTicket = t.object({
+    ticket: t.string({ description: 'Pass as ?ticket=; works once' }), expiresAt: t.integer()
+});
+const ticketField = t.string({ description: 'From the matching POST .../ticket' });
+
+app.post('/api/live/ticket', playerAuth, limit('read'), spec({
+    summary: 'One-time ticket for opening /api/live as the player',
+    response: streamTicket
+}), issueStreamTicket('player'));
+
+app.get('/api/live', streamCredentials('player'), optionalPlayerAuth, limit('read'), spec({
+    summary: 'Live updates for players (Server-Sent Events)',
+    description: 'Events: online, leaderboard (weekly top 100 of ?mode=), friend_beat, achievement. EventSource clients pass ?ticket= instead of the header.',
+    query: t.object({ mode: modeField, ticket: ticketField }),
+    produces: ['text/event-stream'],
+    errors: { 401: 'Invalid or expired ticket', 429: 'Too many open streams' }
+}), (req, res) => {
+    const mode = parseMode(req.query.mode);
+    if (!mode) return sendInvalid(res, 'query', 'mode', 'Invalid mode');
+    const owner = req.odairy || `ip:${req.ip}`;
+    if (live.full('player', owner)) return res.status(429).json({ error: 'Too many open streams' });
+    checkNewWeek();
+    const client = live.subscribe(req, res, { channel: 'player', odairy: req.odairy || null, owner, mode });
+    live.send(client, 'online', { online: db.onlineUsers.size });
+    live.send(client, 'leaderboard', weeklyBoardEvent(calendar.key('weekly'), mode, client.odairy));
+});
+
 // ==========================================
 // Username System
 // ==========================================
 
-app.get('/api/check-username', (req, res) => {
-    const name = (req.query.name || '').toLowerCase().trim();
-    res.json({ taken: name.length >= 2 && db.usernames.has(name) });
+// Shows the new name on the player's current leaderboard entries
+function applyDisplayName(odairy, name) {
+    updateBoardEntries(odairy, { username: name });
+    const online = db.onlineUsers.get(odairy);
+    if (online) online.username = online.displayName = name;
+}
+
+// ?name= - answers { available, taken, reason, message }; the optional
+// player identity lets a player re-check their own name
+app.get('/api/check-username', optionalPlayerAuth, limit('lookup'), spec({
+    summary: 'Check whether a name can be registered',
+    query: t.object({ name: t.string() }, ['name']),
+    response: t.object({
+        name: t.nullable(t.string()), available: t.boolean(), taken: t.boolean(),
+        reason: t.nullable(t.string({ example: 'taken' })), message: t.nullable(t.string())
+    })
+}), (req, res) => {
+    const result = usernameRules.check(req.query.name, req.odairy);
+    res.json({
+        name: result.name, available: result.ok, taken: result.reason === 'taken',
+        reason: result.reason || null, message: result.message || null
+    });
 });
 
-app.post('/api/register-username', (req, res) => {
-    const { odairy, username, telegramUsername } = req.body;
-    if (!odairy || !username) return res.status(400).json({ error: 'Missing' });
+app.post('/api/register-username', playerAuth, limit('lookup'), spec({
+    summary: 'Register or change the display name',
+    body: t.object({ username: t.string({ minLength: 1 }) }, ['username']),
+    response: t.object({ success: t.boolean(), username: t.string() }),
+    errors: { 400: 'Name not allowed (reason: taken, too_short, ...)', 403: 'Name locked by a moderator', 429: 'Rename cooldown' }
+}), (req, res) => {
+    const telegramUsername = req.telegramUser.username;
     
-    const norm = username.toLowerCase().trim();
-    const id = String(odairy);
+    const id = req.odairy;
+    if (moderation.nameLock(id)) return res.status(403).json({ error: 'Name locked by a moderator' });
     
-    if (db.usernames.has(norm) && db.usernames.get(norm) !== id) {
-        return res.status(400).json({ error: 'Taken' });
-    }
+    const checked = usernameRules.check(req.body.username, id);
+    if (!checked.ok) return sendInvalid(res, 'body', 'username', checked.message, { reason: checked.reason });
     
-    if (db.users.has(id)) {
-        const old = db.users.get(id).displayName;
-        if (old) db.usernames.delete(old.toLowerCase());
-        db.users.get(id).displayName = username;
-        db.users.get(id).telegramUsername = telegramUsername;
+    // Changing only case or lookalikes of the current name skips the cooldown
+    const current = db.users.get(id)?.displayName;
+    if (!current || usernameRules.key(current) !== checked.key) {
+        const wait = usernameRules.cooldownRemaining(id);
+        if (wait) {
+            res.set('Retry-After', String(wait));
+            return res.status(429).json({ error: 'Rename cooldown', reason: 'cooldown', retryAfter: wait });
+        }
     }
     
-    db.usernames.set(norm, id);
-    
-    // Update leaderboards
-    const week = getCurrentWeekKey();
-    const we = (db.weeklyLeaderboard[week] || []).find(e => e.odairy === id);
-    const ae = db.allTimeLeaderboard.find(e => e.odairy === id);
-    if (we) we.username = username;
-    if (ae) ae.username = username;
-    
-    saveData();
-    res.json({ success: true });
+    const username = checked.name;
+    db.transaction(() => {
+        usernameRules.rename(id, username);
+        if (db.users.has(id)) {
+            db.users.get(id).telegramUsername = telegramUsername;
+            db.save('users', id);
+        }
+        applyDisplayName(id, username);
+    });
+    res.json({ success: true, username });
 });
 
 // ==========================================
 // Friends System
 // ==========================================
 
-app.get('/api/friends/:odairy', (req, res) => {
-    const ids = db.friends.get(req.params.odairy) || [];
-    const friends = ids.map(id => {
-        const u = db.users.get(id);
-        if (!u) return null;
-        return {
-            odairy: id, username: u.displayName || u.username || `Player_${id.slice(-4)}`,
-            avatar: u.avatar || '🎮', highScore: u.highScore || 0,
-            nameColor: u.nameColor, isVip: u.isVip, online: db.onlineUsers.has(id)
-        };
-    }).filter(Boolean).sort((a, b) => b.highScore - a.highScore);
-    res.json({ friends });
+const friendGraph = createFriendGraph({ db, maxFriends: MAX_FRIENDS });
+
+function friendCard(id, status, extra) {
+    const u = db.users.get(id);
+    if (!u) return null;
+    return {
+        odairy: id, username: u.displayName || u.username || `Player_${id.slice(-4)}`,
+        avatar: u.avatar || '🎮', highScore: u.highScore || 0,
+        nameColor: u.nameColor, isVip: u.isVip, online: db.onlineUsers.has(id),
+        status, ...extra
+    };
+}
+
+// Pending requests both ways - must come before /api/friends/:odairy
+app.get('/api/friends/requests', playerAuth, limit('read'), spec({
+    summary: 'Pending friend requests both ways',
+    response: t.object({ incoming: t.array(t.ref('FriendCard')), outgoing: t.array(t.ref('FriendCard')) })
+}), (req, res) => {
+    const { incoming, outgoing } = friendGraph.pending(req.odairy);
+    res.json({
+        incoming: incoming.map(r => friendCard(r.from, 'incoming', { requestedAt: r.createdAt })).filter(Boolean),
+        outgoing: outgoing.map(r => friendCard(r.to, 'outgoing', { requestedAt: r.createdAt })).filter(Boolean)
+    });
 });
 
-app.post('/api/friends/add', (req, res) => {
-    const { odairy, friendId } = req.body;
-    if (!odairy || !friendId || odairy === friendId) return res.status(400).json({ error: 'Invalid' });
+// Accepted friends for anyone; the owner also sees pending requests and blocks
+app.get('/api/friends/:odairy', optionalPlayerAuth, limit('read'), spec({
+    summary: "A player's friends",
+    description: 'pending, blocked and limit are only included for the player themselves.',
+    response: t.object({
+        friends: t.array(t.ref('FriendCard')), pending: t.array(t.ref('FriendCard')),
+        blocked: t.array(t.ref('FriendCard')), limit: t.integer()
+    })
+}), (req, res) => {
+    const { odairy } = req.params;
+    const friends = friendGraph.friendsOf(odairy)
+        .map(id => friendCard(id, 'accepted'))
+        .filter(Boolean).sort((a, b) => b.highScore - a.highScore);
+    if (req.odairy !== odairy) return res.json({ friends });
     
-    const f1 = db.friends.get(odairy) || [];
-    const f2 = db.friends.get(friendId) || [];
-    if (!f1.includes(friendId)) { f1.push(friendId); db.friends.set(odairy, f1); }
-    if (!f2.includes(odairy)) { f2.push(odairy); db.friends.set(friendId, f2); }
-    saveData();
-    res.json({ success: true });
+    const { incoming, outgoing } = friendGraph.pending(odairy);
+    const pending = [
+        ...incoming.map(r => friendCard(r.from, 'incoming', { requestedAt: r.createdAt })),
+        ...outgoing.map(r => friendCard(r.to, 'outgoing', { requestedAt: r.createdAt }))
+    ].filter(Boolean);
+    const blocked = friendGraph.blocked(odairy).map(id => friendCard(id, 'blocked') || { odairy: id, status: 'blocked' });
+    res.json({ friends, pending, blocked, limit: MAX_FRIENDS });
 });
 
-app.post('/api/referral', (req, res) => {
-    const { newUserId, referrerId } = req.body;
-    if (!newUserId || !referrerId || newUserId === referrerId) return res.status(400).json({ error: 'Invalid' });
-    
-    const r = String(referrerId), n = String(newUserId);
-    const f1 = db.friends.get(r) || [];
-    const f2 = db.friends.get(n) || [];
-    if (!f1.includes(n)) { f1.push(n); db.friends.set(r, f1); }
-    if (!f2.includes(r)) { f2.push(r); db.friends.set(n, f2); }
-    addActivity('referral', { referrerId: r, newUserId: n });
-    saveData();
+// Each action takes { friendId } and answers with the graph's result
+function friendAction(action) {
+    return (req, res) => {
+        const friendId = req.body.friendId ? String(req.body.friendId) : null;
+        if (!friendId) return sendInvalid(res, 'body', 'friendId', 'friendId required');
+        const result = friendGraph[action](req.odairy, friendId);
+        if (result.error) return sendError(req, res, result);
+        res.json({ success: true, ...(result.status && { status: result.status }) });
+    };
+}
+
+function friendActionSpec(summary) {
+    return spec({
+        summary,
+        body: t.object({ friendId: userIdField }, ['friendId']),
+        response: t.object({ success: t.boolean(), status: t.string({ description: "'accepted' when you were already friends or they had asked you" }) }),
+        errors: { 400: 'Cannot befriend yourself, or friend limit reached', 403: 'Cannot send request', 404: 'User not found' }
+    });
+}
+
+// /add is kept for older clients - it now sends a request
+app.post('/api/friends/add', playerAuth, limit('social'), friendActionSpec('Send a friend request (kept for older clients)'), friendAction('request'));
+app.post('/api/friends/request', playerAuth, limit('social'), friendActionSpec('Send a friend request'), friendAction('request'));
+app.post('/api/friends/accept', playerAuth, limit('social'), friendActionSpec('Accept a friend request'), friendAction('accept'));
+app.post('/api/friends/decline', playerAuth, limit('social'), friendActionSpec('Decline a friend request'), friendAction('decline'));
+app.post('/api/friends/cancel', playerAuth, limit('social'), friendActionSpec('Cancel a sent friend request'), friendAction('cancel'));
+app.post('/api/friends/remove', playerAuth, limit('social'), friendActionSpec('Remove a friend'), friendAction('remove'));
+app.post('/api/friends/block', playerAuth, limit('social'), friendActionSpec('Block a player'), friendAction('block'));
+app.post('/api/friends/unblock', playerAuth, limit('social'), friendActionSpec('Unblock a player'), friendAction('unblock'));
+
+// ==========================================
+// Referrals
+// ==========================================
+
+const referrals = createReferrals({
+    db, wallet, friendGraph, rewards: REFERRAL_REWARDS,
+    attributionWindow: REFERRAL_WINDOW * 1000, addActivity,
+    onAttributed: r => announceAchievements(r.referrerId, achievements.track(r.referrerId, { referrals: 1 }))
+});
+
+app.post('/api/referral', playerAuth, limit('social'), spec({
+    summary: 'Credit the player to a referrer',
+    body: t.object({ referrerId: userIdField }, ['referrerId']),
+    response: success,
+    errors: { 400: 'Cannot refer yourself', 404: 'Unknown referrer', 409: 'Already referred, or not a new player' }
+}), (req, res) => {
+    const result = referrals.attribute(req.body.referrerId, req.odairy, 'webapp');
+    if (result.error) return sendError(req, res, result);
     res.json({ success: true });
 });
 
+app.get('/api/referrals', playerAuth, limit('read'), spec({
+    summary: 'Players the player referred',
+    response: t.object({
+        count: t.integer(), qualified: t.integer(), earnings: t.integer(), referredBy: t.nullable(t.string()),
+        rewards: t.array(t.object({ milestone: t.string(), referrer: t.integer(), referee: t.integer() })),
+        referrals: t.array(t.object({
+            odairy: t.string(), username: t.string(), joinedAt: t.integer(),
+            milestones: t.object({}, [], { additionalProperties: t.integer() }), earned: t.integer()
+        }))
+    })
+}), (req, res) => {
+    const list = referrals.referralsOf(req.odairy).map(r => ({
+        odairy: r.refereeId, username: getDisplayName(r.refereeId),
+        joinedAt: r.createdAt, milestones: r.milestones, earned: r.earned.referrer
+    }));
+    res.json({ ...referrals.statsFor(req.odairy), rewards: REFERRAL_REWARDS, referrals: list });
+});
+
 // ==========================================
 // Payments
 // ==========================================
 
-const STAR_PACKAGES = [
-    { id: 'stars_100', stars: 100, price: 10, bonus: 0 },
-    { id: 'stars_500', stars: 500, price: 45, bonus: 50 },
-    { id: 'stars_1000', stars: 1000, price: 80, bonus: 200 },
-    { id: 'stars_5000', stars: 5000, price: 350, bonus: 1500 }
-];
-
-app.get('/api/star-packages', (req, res) => res.json(STAR_PACKAGES));
+// Products come from the catalog (see lib/catalog.js). Signed-in players only
+// see what they can buy: first-purchase offers and used-up limits drop out.
+app.get('/api/star-packages', optionalPlayerAuth, spec({
+    summary: 'Star packages for sale',
+    description: 'Signed-in players only see packages they can buy.',
+    response: t.array(t.ref('Offer'))
+}), (req, res) => res.json(catalog.offersFor(req.odairy)));
 
-app.post('/api/buy-stars', async (req, res) => {
+app.post('/api/buy-stars', playerAuth, limit('payments'), spec({
+    summary: 'Create a Telegram Stars invoice',
+    body: t.object({ packageId: t.string({ minLength: 1 }) }, ['packageId']),
+    response: t.object({ success: t.boolean(), invoiceLink: t.string() }),
+    errors: { 400: 'Unknown product', 409: 'Only available on your first purchase, or purchase limit reached', 500: 'Telegram error' }
+}), async (req, res) => {
     try {
-        const { packageId, userId } = req.body;
-        const pkg = STAR_PACKAGES.find(p => p.id === packageId);
-        if (!pkg) return res.status(400).json({ error: 'Invalid' });
+        const result = catalog.prepareInvoice(req.odairy, req.body.packageId);
+        if (result.error) return sendError(req, res, result);
+        const { offer, payload } = result;
         
-        const total = pkg.stars + pkg.bonus;
+        const total = offer.stars + offer.bonus;
         const link = await bot.createInvoiceLink(
             `${total} ⭐ Stars`,
-            `${pkg.stars} Stars${pkg.bonus ? ` + ${pkg.bonus} Bonus` : ''}`,
-            `stars:${packageId}:${userId}`, '', 'XTR',
-            [{ label: `${total} Stars`, amount: pkg.price }]
+            `${offer.stars} Stars${offer.bonus ? ` + ${offer.bonus} Bonus` : ''}`,
+            payload, '', 'XTR',
+            [{ label: `${total} Stars`, amount: offer.price }]
         );
         res.json({ success: true, invoiceLink: link });
     } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// ==========================================
+// Star Wallet
+// ==========================================
+
+// In-game items purchasable with wallet stars
+const SHOP_ITEMS = [
+    { id: 'undo', name: 'Undo', price: 20 },
+    { id: 'shake', name: 'Shake', price: 30 },
+    { id: 'bomb', name: 'Fruit Bomb', price: 50 },
+    { id: 'continue', name: 'Continue', price: 100 }
+];
+
+app.get('/api/shop-items', spec({
+    summary: 'Items that can be bought with wallet stars',
+    response: t.array(t.object({ id: t.string(), name: t.string(), price: t.integer() }))
+}), (req, res) => res.json(SHOP_ITEMS));
+
+app.get('/api/wallet', playerAuth, limit('read'), spec({
+    summary: "The player's star balance",
+    response: t.object({ odairy: t.string(), balance: t.integer() })
+}), (req, res) => {
+    res.json({ odairy: req.odairy, balance: wallet.getBalance(req.odairy) });
+});
+
+app.get('/api/wallet/transactions', playerAuth, limit('read'), spec({
+    summary: "The player's wallet history, newest first",
+    query: t.object({ limit: limitField(50, 500) }),
+    response: t.object({ balance: t.integer(), transactions: t.array(t.ref('WalletTransaction')) })
+}), (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    res.json({ balance: wallet.getBalance(req.odairy), transactions: wallet.history(req.odairy, limit) });
+});
+
+app.post('/api/wallet/spend', playerAuth, limit('payments'), spec({
+    summary: 'Buy an item with wallet stars',
+    body: t.object({
+        itemId: t.enum(SHOP_ITEMS.map(i => i.id)), quantity: t.integer({ minimum: 1, maximum: 99, description: 'Default 1' })
+    }, ['itemId']),
+    response: t.object({ success: t.boolean(), balance: t.integer(), transaction: t.ref('WalletTransaction') }),
+    errors: { 402: 'Insufficient stars' }
+}), (req, res) => {
+    const { itemId, quantity = 1 } = req.body;
+    const item = SHOP_ITEMS.find(i => i.id === itemId);
+    
+    const cost = item.price * quantity;
+    const entry = wallet.debit(req.odairy, cost, 'spend', item.id, { quantity });
+    if (!entry) return res.status(402).json({ error: 'Insufficient stars', balance: wallet.getBalance(req.odairy), cost });
+    
+    addActivity('spend', { odairy: req.odairy, itemId: item.id, quantity, amount: cost });
+    res.json({ success: true, balance: entry.balanceAfter, transaction: entry });
+});
+
+// ==========================================
+// Achievements & Quests
+// ==========================================
+
+// Pushes newly completed definitions to the player's live stream and returns
+// the short form included in game responses
+function announceAchievements(odairy, completed) {
+    const list = completed.map(d => ({ id: d.id, type: d.type, title: d.title, reward: d.reward }));
+    for (const item of list) live.sendTo('player', odairy, 'achievement', item);
+    return list;
+}
+
+app.get('/api/achievements', playerAuth, limit('read'), spec({
+    summary: "The player's achievements and today's quests",
+    response: t.object({
+        achievements: t.array(t.ref('AchievementProgress')),
+        daily: t.object({ day: t.string(), quests: t.array(t.ref('AchievementProgress')) })
+    })
+}), (req, res) => {
+    res.json(achievements.progressFor(req.odairy));
+});
+
+app.post('/api/achievements/:id/claim', playerAuth, limit('game'), spec({
+    summary: 'Claim the reward of a completed achievement or quest',
+    response: t.object({ success: t.boolean(), reward: t.ref('Reward'), balance: t.integer() }),
+    errors: { 400: 'Not completed', 404: 'Not found', 409: 'Already claimed' }
+}), (req, res) => {
+    const result = achievements.claim(req.odairy, req.params.id);
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true, reward: result.reward, balance: wallet.getBalance(req.odairy) });
+});
+
+// ==========================================
+// Bot Commands
+// ==========================================
+
+const commands = createBotRouter();
+const PLAY_BUTTON = { reply_markup: { inline_keyboard: [[{ text: '🎮 Play Now', web_app: { url: WEBAPP_URL } }]] } };
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+let botUsername = process.env.BOT_USERNAME || null;
+async function getBotUsername() {
+    if (!botUsername) botUsername = await bot.getMe().then(me => me.username).catch(() => null);
+    return botUsername;
+}
+
+function formatDuration(ms) {
+    const m = Math.floor(ms / 60000);
+    const d = Math.floor(m / 1440), h = Math.floor((m % 1440) / 60);
+    if (d) return `${d}d ${h}h`;
+    return h ? `${h}h ${m % 60}m` : `${m % 60}m`;
+}
+
+// Opens the game with a start parameter: the Mini App itself when
+// WEBAPP_SHORT_NAME is set, otherwise the bot chat (/start <param>). Groups
+// and shared messages need this - web_app buttons only work in private chats.
+async function playLink(param) {
+    const username = await getBotUsername();
+    if (!username) return WEBAPP_URL;
+    return WEBAPP_SHORT_NAME
+        ? `https://t.me/${username}/${WEBAPP_SHORT_NAME}?startapp=${param}`
+        : `https://t.me/${username}?start=${param}`;
+}
+
+function formatBoard(entries) {
+    return entries.map((e, i) => `${MEDALS[i] || `${i + 1}.`} ${e.username || `Player_${String(e.odairy).slice(-4)}`} — ${e.score}`).join('\n');
+}
+
+commands.command('start', null, async (message, args) => {
+    const u = message.from;
+    if (args.startsWith('ref_')) referrals.attribute(args.slice(4), String(u.id), 'bot');
+    // Came from a group's /top link without the Mini App link
+    const launchChat = parseLaunchParam(args);
+    if (launchChat && groupChats.recordLaunch(launchChat, String(u.id))) addActivity('group_join', { odairy: String(u.id), chatId: launchChat });
+    await bot.sendMessage(message.chat.id,
+        `🍉 Welcome ${u.first_name || 'Player'}!\n\n🏆 Weekly Competition - Top the leaderboard!\n⏰ Resets every Monday\n\nType /help to see what I can do.`,
+        PLAY_BUTTON
+    );
+});
+
+commands.command('leaderboard', 'This week\'s top 10', async (message) => {
+    checkNewWeek();
+    const week = calendar.describe('weekly');
+    const top = rankedBoards.top(seasonBoardId('weekly', week.key), 10, moderation.hiddenFrom(String(message.from.id)));
+    const body = top.length ? formatBoard(top) : 'No scores yet - be the first!';
+    await bot.sendMessage(message.chat.id,
+        `🏆 Weekly Leaderboard (${week.key})\n\n${body}\n\n⏰ Resets in ${formatDuration(week.timeUntilReset)}`,
+        PLAY_BUTTON
+    );
+});
+
+commands.command('rank', 'Your weekly and all-time rank', async (message) => {
+    const r = getPlayerRanks(String(message.from.id));
+    const line = (label, rank, total) => `${label}: ${rank ? `#${rank} of ${total}` : 'unranked'}`;
+    const lines = [line('Weekly', r.weeklyRank, r.weeklyTotal), line('All-time', r.allTimeRank, r.allTimeTotal)];
+    for (const period of SEASON_PERIODS.filter(p => p !== 'weekly')) {
+        const s = r.seasons[period];
+        lines.push(line(period[0].toUpperCase() + period.slice(1), s.rank, s.total));
+    }
+    await bot.sendMessage(message.chat.id, `📊 Your rank\n\n${lines.join('\n')}`);
+});
+
+commands.command('friends', 'Weekly leaderboard of you and your friends', async (message) => {
+    const odairy = String(message.from.id);
+    const board = getFriendsBoard(odairy, 'weekly').slice(0, 20);
+    const body = board.length ? formatBoard(board) : 'No scores from you or your friends this week. Use /invite to bring some!';
+    await bot.sendMessage(message.chat.id, `👥 Friends Leaderboard (${calendar.key('weekly')})\n\n${body}`);
+});
+
+// /top [mode] - in a group, the weekly board of the players who joined it
+commands.command('top', 'This week\'s top players in this group', async (message, args) => {
+    const chat = groupChats.get(message.chat.id);
+    if (!chat) {
+        return bot.sendMessage(message.chat.id, 'Add me to a group and use /top there to see who leads the group this week.');
+    }
+    const mode = parseMode(args.split(/\s+/)[0].toLowerCase()) || DEFAULT_MODE;
+    const week = calendar.describe('weekly');
+    const board = getGroupBoard(chat.id, mode).slice(0, 10);
+    const modeTitle = mode === DEFAULT_MODE ? '' : ` · ${GAME_MODES.find(m => m.id === mode).title}`;
+    const body = board.length ? formatBoard(board) : 'Nobody here has played this week. Tap Play to join the board!';
+    await bot.sendMessage(message.chat.id,
+        `🏆 ${chat.title || 'Group'} - weekly top${modeTitle} (${week.key})\n\n${body}\n\n⏰ Resets in ${formatDuration(week.timeUntilReset)}`,
+        { reply_markup: { inline_keyboard: [[{ text: '🎮 Play', url: await playLink(launchParam(chat.id)) }]] } }
+    );
+});
+
+commands.command('invite', 'Get your invite link', async (message) => {
+    const username = await getBotUsername();
+    if (!username) return bot.sendMessage(message.chat.id, 'Invite links are unavailable right now, try again later.');
+    const link = `https://t.me/${username}?start=ref_${message.from.id}`;
+    await bot.sendMessage(message.chat.id, `🎁 Invite friends to play!\n\nShare this link:\n${link}`);
+});
+
+commands.command('help', 'List commands', async (message) => {
+    const lines = commands.list().map(c => `/${c.command} - ${c.description}`);
+    await bot.sendMessage(message.chat.id, `🍉 Fruit Merge commands\n\n${lines.join('\n')}`, PLAY_BUTTON);
+});
+
+bot.setMyCommands(commands.list()).catch(e => console.error('[Bot] setMyCommands failed:', e.message));
+
+// Inline mode (@bot in any chat): score cards for the mode named in the
+// query (default classic) with a Play link that also counts as a referral
+async function answerInlineQuery(query) {
+    const odairy = String(query.from.id);
+    const mode = parseMode(query.query.trim().toLowerCase()) || DEFAULT_MODE;
+    const modeName = mode === DEFAULT_MODE ? '' : ` (${GAME_MODES.find(m => m.id === mode).title})`;
+    const button = { reply_markup: { inline_keyboard: [[{ text: '🎮 Play', url: await playLink(`ref_${odairy}`) }]] } };
+    const card = (id, title, text) => ({
+        type: 'article', id, title, description: text, input_message_content: { message_text: text }, ...button
+    });
+
+    const ranks = getPlayerRanks(odairy, mode);
+    const weekly = rankedBoards.get(seasonBoardId('weekly', undefined, mode), odairy);
+    const allTime = rankedBoards.get(allTimeBoardId(mode), odairy);
+    const results = [];
+    if (weekly) {
+        results.push(card(`weekly_${mode}`, `Share this week's best: ${weekly.score}`,
+            `🍉 I scored ${weekly.score} in Fruit Merge${modeName} this week - #${ranks.weeklyRank} of ${ranks.weeklyTotal}! Can you beat me?`));
+    }
+    if (allTime) {
+        results.push(card(`alltime_${mode}`, `Share my all-time best: ${allTime.score}`,
+            `🏆 My all-time best in Fruit Merge${modeName} is ${allTime.score} - #${ranks.allTimeRank} of ${ranks.allTimeTotal}. Think you can top it?`));
+    }
+    results.push(card('invite', 'Invite to Fruit Merge', '🍉 Come play Fruit Merge with me!'));
+    await bot.answerInlineQuery(query.id, results, { is_personal: true, cache_time: 30 });
+}
+
 // Webhook
-app.post('/api/webhook', async (req, res) => {
+// Registered with WEBHOOK_SECRET as its secret_token, so only Telegram can post
+// updates (and with them, payments to credit)
+async function registerWebhook() {
+    const url = WEBHOOK_URL || (await bot.getWebHookInfo()).url;
+    if (!url) {
+        console.warn('[Webhook] No webhook registered - set WEBHOOK_URL to receive bot updates');
+        return;
+    }
+    await bot.setWebHook(url, { secret_token: WEBHOOK_SECRET });
+    console.log(`[Webhook] Registered ${url}`);
+}
+registerWebhook().catch(e => console.error('[Webhook] Registration failed:', e.message));
+
+function webhookAuth(req, res, next) {
+    const expected = Buffer.from(WEBHOOK_SECRET);
+    const given = Buffer.from(String(req.get('X-Telegram-Bot-Api-Secret-Token') || ''));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({ error: 'Invalid secret token' });
+    }
+    next();
+}
+
+app.post('/api/webhook', webhookAuth, spec({
+    summary: 'Telegram bot webhook',
+    description: 'Takes Telegram Update objects and always answers 200, so Telegram never retries.',
+    produces: ['text/plain'],
+    errors: { 401: 'Invalid secret token' }
+}), async (req, res) => {
     try {
-        const { pre_checkout_query, message } = req.body;
+        const { pre_checkout_query, message, my_chat_member, inline_query } = req.body;
+        
+        // Groups the bot is in (for /top and group boards)
+        if (my_chat_member && GROUP_TYPES.includes(my_chat_member.chat.type)) {
+            if (['left', 'kicked'].includes(my_chat_member.new_chat_member.status)) groupChats.left(my_chat_member.chat.id);
+            else groupChats.seen(my_chat_member.chat);
+        }
+        if (message && GROUP_TYPES.includes(message.chat.type)) {
+            if (message.migrate_to_chat_id) groupChats.migrate(message.chat.id, message.migrate_to_chat_id);
+            else groupChats.seen(message.chat);
+        }
         
+        if (inline_query) await answerInlineQuery(inline_query);
+        
+        // Blocking/unblocking the bot in a private chat
+        if (my_chat_member?.chat.type === 'private') {
+            const odairy = String(my_chat_member.from.id);
+            if (my_chat_member.new_chat_member.status === 'kicked') broadcasts.markUnreachable(odairy, 'blocked');
+            else if (my_chat_member.new_chat_member.status === 'member') broadcasts.markReachable(odairy);
+        }
+        if (message?.chat.type === 'private') broadcasts.markReachable(String(message.from.id));
+        
+        // Limits may have been used up (or the product disabled) since the invoice was made
         if (pre_checkout_query) {
-            await bot.answerPreCheckoutQuery(pre_checkout_query.id, true);
+            const error = catalog.checkPayload(String(pre_checkout_query.from.id), pre_checkout_query.invoice_payload);
+            await bot.answerPreCheckoutQuery(pre_checkout_query.id, !error, error ? { error_message: error } : {});
         }
         
         if (message?.successful_payment) {
@@ -503,52 +1468,47 @@ app.post('/api/webhook', async (req, res) => {
             const odairy = String(u.id);
             const name = getDisplayName(odairy, u.username, u.first_name, u.last_name);
             
-            db.payments.push({
-                odairy, username: name, telegramUsername: u.username,
-                firstName: u.first_name, lastName: u.last_name,
-                amount: p.total_amount, currency: p.currency,
-                item: p.invoice_payload, timestamp: Date.now()
-            });
-            db.stats.totalRevenue += p.total_amount;
-            if (db.users.has(odairy)) db.users.get(odairy).totalSpent += p.total_amount;
+            const chargeId = p.telegram_payment_charge_id;
+            // Credited as quoted on the invoice, even if the product changed since
+            const offer = catalog.quoteFor(p.invoice_payload);
             
-            if (p.invoice_payload.startsWith('stars:')) {
-                const pkg = STAR_PACKAGES.find(x => x.id === p.invoice_payload.split(':')[1]);
-                if (pkg) {
-                    await bot.sendMessage(u.id, `✅ You received ${pkg.stars + pkg.bonus} ⭐ Stars!`).catch(() => {});
+            const recorded = db.transaction(() => {
+                if (offer && wallet.creditPurchase(odairy, chargeId, offer, p.total_amount).duplicate) return false;
+                db.append('payments', {
+                    odairy, username: name, telegramUsername: u.username,
+                    firstName: u.first_name, lastName: u.last_name,
+                    amount: p.total_amount, currency: p.currency,
+                    item: p.invoice_payload, chargeId,
+                    timestamp: Date.now()
+                });
+                db.stats.totalRevenue += p.total_amount;
+                db.save('stats');
+                if (db.users.has(odairy)) {
+                    db.users.get(odairy).totalSpent += p.total_amount;
+                    db.save('users', odairy);
                 }
-            }
-            
-            addActivity('payment', { odairy, amount: p.total_amount });
-            saveData();
-            
-            if (ADMIN_TELEGRAM_ID) {
-                bot.sendMessage(ADMIN_TELEGRAM_ID, `💰 ${name}: ${p.total_amount} XTR`).catch(() => {});
-            }
-        }
-        
-        if (message?.text?.startsWith('/start')) {
-            const chatId = message.chat.id;
-            const u = message.from;
-            const param = message.text.split(' ')[1];
+                analytics.recordPayment(odairy, p.total_amount, paymentItem(p.invoice_payload));
+                addActivity('payment', { odairy, amount: p.total_amount });
+                referrals.reachMilestone(odairy, 'first_purchase');
+                return true;
+            });
             
-            if (param?.startsWith('ref_')) {
-                const ref = param.replace('ref_', '');
-                if (ref !== String(u.id)) {
-                    const f1 = db.friends.get(ref) || [];
-                    const f2 = db.friends.get(String(u.id)) || [];
-                    if (!f1.includes(String(u.id))) { f1.push(String(u.id)); db.friends.set(ref, f1); }
-                    if (!f2.includes(ref)) { f2.push(ref); db.friends.set(String(u.id), f2); }
-                    saveData();
+            if (!recorded) {
+                console.warn(`[Payment] Duplicate charge ignored: ${chargeId}`);
+            } else {
+                if (offer) {
+                    await bot.sendMessage(u.id,
+                        `✅ You received ${offer.stars + offer.bonus} ⭐ Stars!\nBalance: ${wallet.getBalance(odairy)} ⭐`
+                    ).catch(() => {});
+                }
+                if (ADMIN_TELEGRAM_ID) {
+                    bot.sendMessage(ADMIN_TELEGRAM_ID, `💰 ${name}: ${p.total_amount} XTR`).catch(() => {});
                 }
             }
-            
-            await bot.sendMessage(chatId,
-                `🍉 Welcome ${u.first_name || 'Player'}!\n\n🏆 Weekly Competition - Top the leaderboard!\n⏰ Resets every Monday`,
-                { reply_markup: { inline_keyboard: [[{ text: '🎮 Play Now', web_app: { url: WEBAPP_URL } }]] } }
-            );
         }
         
+        if (message?.text) await commands.handle(message, await getBotUsername());
+        
         res.sendStatus(200);
     } catch (e) { console.error('[Webhook]', e); res.sendStatus(200); }
 });
@@ -557,63 +1517,1007 @@ app.post('/api/webhook', async (req, res) => {
 // Admin
 // ==========================================
 
-function adminAuth(req, res, next) {
-    const pw = req.headers['x-admin-password'] || req.query.password;
-    if (pw !== ADMIN_PASSWORD) return res.status(401).json({ error: 'Unauthorized' });
-    next();
-}
+const adminAccounts = createAdminAccounts({
+    db, tokenTtl: ADMIN_TOKEN_TTL * 1000,
+    maxFailures: ADMIN_MAX_FAILURES, lockoutMs: ADMIN_LOCKOUT * 1000
+});
+const bootstrapped = adminAccounts.bootstrap(ADMIN_USERNAME, ADMIN_PASSWORD);
+if (bootstrapped?.error) console.warn(`WARNING: owner account not created from ADMIN_USERNAME/ADMIN_PASSWORD - ${bootstrapped.error}`);
+else if (bootstrapped) console.log(`[Admin] Created owner account '${bootstrapped.account.username}'`);
+if (!db.admins.size) console.warn('WARNING: no admin accounts - set ADMIN_PASSWORD to create the first owner');
+setInterval(adminAccounts.cleanupTokens, 600000);
+
+// Bearer token -> req.admin; requireRole(...) gates by role
+const adminAuth = adminAccounts.authenticate;
+const requireRole = adminAccounts.requireRole;
+
+app.post('/api/admin/login', limit('login'), spec({
+    summary: 'Log in and get a bearer token',
+    body: t.object({ username: t.string({ minLength: 1 }), password: t.string({ minLength: 1 }) }, ['username', 'password']),
+    response: t.object({ success: t.boolean(), token: t.string(), expiresAt: t.integer(), admin: t.ref('AdminAccount') }),
+    errors: { 401: 'Invalid credentials', 429: 'Account locked' }
+}), (req, res) => {
+    const { username, password } = req.body;
+    const result = adminAccounts.login(username, password);
+    adminAccounts.audit({
+        admin: String(username || '').toLowerCase(), action: 'login',
+        status: result.error ? result.status : 200, ip: req.ip
+    });
+    if (result.error) {
+        if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+        return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, token: result.token, expiresAt: result.expiresAt, admin: result.account });
+});
 
-app.get('/api/admin/dashboard', adminAuth, (req, res) => {
+app.post('/api/admin/logout', adminAuth, spec({
+    summary: 'Revoke the current token',
+    response: success
+}), (req, res) => {
+    adminAccounts.logout(req.adminToken);
+    res.json({ success: true });
+});
+
+app.get('/api/admin/me', adminAuth, spec({
+    summary: 'The signed-in admin',
+    response: t.object({ admin: t.ref('AdminAccount'), roles: t.array(t.string()) })
+}), (req, res) => res.json({ admin: req.admin, roles: ROLES }));
+
+app.post('/api/admin/me/password', adminAuth, spec({
+    summary: 'Change your password',
+    body: t.object({ currentPassword: t.string(), newPassword: t.string() }, ['currentPassword', 'newPassword']),
+    response: success,
+    errors: { 400: 'Password too short', 401: 'Invalid credentials' }
+}), (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    if (adminAccounts.verify(req.admin.username, currentPassword).error) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    const result = adminAccounts.update(req.admin.username, { password: newPassword });
+    if (result.error) return sendError(req, res, result, 'newPassword');
+    res.json({ success: true });
+});
+
+app.get('/api/admin/accounts', adminAuth, requireRole('owner'), spec({
+    summary: 'Admin accounts',
+    response: t.object({ accounts: t.array(t.ref('AdminAccount')) })
+}), (req, res) => {
+    res.json({ accounts: adminAccounts.list() });
+});
+
+app.post('/api/admin/accounts', adminAuth, requireRole('owner'), spec({
+    summary: 'Create an admin account',
+    body: t.object({
+        username: t.string({ pattern: '^[A-Za-z0-9_.-]{3,32}$' }), password: t.string(), role: t.enum(ROLES)
+    }, ['username', 'password', 'role']),
+    response: t.object({ success: t.boolean(), account: t.ref('AdminAccount') }),
+    errors: { 400: 'Password too short', 409: 'Account exists' }
+}), (req, res) => {
+    const { username, password, role } = req.body;
+    const result = adminAccounts.create(username, password, role);
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true, account: result.account });
+});
+
+app.patch('/api/admin/accounts/:username', adminAuth, requireRole('owner'), spec({
+    summary: 'Change the role, password or status of an account',
+    body: t.object({ role: t.enum(ROLES), password: t.string(), disabled: t.boolean() }),
+    response: t.object({ success: t.boolean(), account: t.ref('AdminAccount') }),
+    errors: { 400: 'Password too short', 404: 'Account not found', 409: 'Cannot remove the last owner' }
+}), (req, res) => {
+    const { role, password, disabled } = req.body;
+    const result = adminAccounts.update(req.params.username, { role, password, disabled });
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true, account: result.account });
+});
+
+app.delete('/api/admin/accounts/:username', adminAuth, requireRole('owner'), spec({
+    summary: 'Delete an admin account',
+    response: success,
+    errors: { 400: 'Cannot delete yourself', 404: 'Account not found', 409: 'Cannot remove the last owner' }
+}), (req, res) => {
+    if (req.params.username === req.admin.username) return sendInvalid(res, 'path', 'username', 'Cannot delete yourself');
+    const result = adminAccounts.remove(req.params.username);
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true });
+});
+
+// ?admin=&action=&since=&limit= - newest first
+app.get('/api/admin/audit', adminAuth, requireRole('owner'), spec({
+    summary: 'Admin audit log, newest first',
+    query: t.object({
+        admin: t.string(), action: t.string({ description: 'Substring of the action' }),
+        since: t.integer({ minimum: 0, description: 'ms' }), limit: limitField(100, 1000)
+    }),
+    response: t.object({ entries: t.array(t.object()), total: t.integer() })
+}), (req, res) => {
+    const { admin, action } = req.query;
+    const since = Number(req.query.since) || 0;
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    const entries = db.readLog('adminAudit', { since }).reverse()
+        .filter(e => (!admin || e.admin === admin) && (!action || e.action.includes(action)));
+    res.json({ entries: entries.slice(0, limit), total: entries.length });
+});
+
+app.get('/api/admin/dashboard', adminAuth, spec({
+    summary: 'Overview: totals, online players, boards and recent activity',
+    response: t.object({
+        stats: t.object(), currentWeek: t.string(), weekStart: t.string({ format: 'date-time' }), weekEnd: t.string({ format: 'date-time' }),
+        timeUntilReset: t.integer(), onlineUsers: t.array(t.object()), recentPayments: t.array(t.object()),
+        weeklyLeaderboard: t.array(t.ref('LeaderboardEntry')), allTimeLeaderboard: t.array(t.ref('LeaderboardEntry')),
+        weeklyPlayers: t.integer(), modes: t.array(t.object({ id: t.string(), title: t.string(), weeklyPlayers: t.integer() })),
+        recentActivity: t.array(t.object()), recentRejectedScores: t.array(t.object()), rateLimitOffenders: t.array(t.object()),
+        reports: t.object(), serverTime: t.integer()
+    })
+}), (req, res) => {
     cleanupOffline();
     checkNewWeek();
-    const week = getCurrentWeekKey();
-    const dates = getWeekDates(week);
-    const wLb = db.weeklyLeaderboard[week] || [];
-    
+    const { key: week, start, end, timeUntilReset } = calendar.describe('weekly');
     res.json({
         stats: {
             onlineUsers: db.onlineUsers.size, totalUsers: db.users.size,
             totalGamesPlayed: db.stats.totalGamesPlayed,
-            totalRevenue: db.stats.totalRevenue, totalPayments: db.payments.length
+            totalRevenue: db.stats.totalRevenue, totalPayments: db.payments.length,
+            liveClients: { player: live.count('player'), admin: live.count('admin') }
         },
-        currentWeek: week, weekStart: dates.start, weekEnd: dates.end,
-        timeUntilReset: getTimeUntilReset(),
+        currentWeek: week, weekStart: start, weekEnd: end, timeUntilReset,
         onlineUsers: Array.from(db.onlineUsers.values()).sort((a, b) => b.lastSeen - a.lastSeen),
         recentPayments: db.payments.slice(-30).reverse(),
-        weeklyLeaderboard: wLb.slice(0, 20),
-        allTimeLeaderboard: db.allTimeLeaderboard.slice(0, 20),
+        weeklyLeaderboard: rankedBoards.top(seasonBoardId('weekly', week), 20),
+        allTimeLeaderboard: rankedBoards.top(allTimeBoardId(), 20),
+        weeklyPlayers: rankedBoards.size(seasonBoardId('weekly', week)),
+        modes: GAME_MODES.map(m => ({ ...m, weeklyPlayers: rankedBoards.size(seasonBoardId('weekly', week, m.id)) })),
         recentActivity: db.activityLog.slice(0, 30),
+        recentRejectedScores: db.rejectedScores.slice(0, 20),
+        rateLimitOffenders: rateLimiter.topOffenders(10),
+        reports: cheatReports.counts(),
         serverTime: Date.now()
     });
 });
 
-app.get('/api/admin/users', adminAuth, (req, res) => {
+// Live activity feed; the last 20 entries are replayed on connect
+app.post('/api/admin/live/ticket', adminAuth, spec({
+    summary: 'One-time ticket for opening /api/admin/live',
+    response: streamTicket
+}), issueStreamTicket('admin'));
+
+app.get('/api/admin/live', streamCredentials('admin'), adminAuth, spec({
+    summary: 'Live admin feed (Server-Sent Events)',
+    description: 'Events: activity, online. EventSource clients pass ?ticket= instead of the header.',
+    query: t.object({ ticket: ticketField }),
+    produces: ['text/event-stream'],
+    errors: { 401: 'Invalid or expired ticket', 429: 'Too many open streams' }
+}), (req, res) => {
+    if (live.full('admin', req.admin.username)) return res.status(429).json({ error: 'Too many open streams' });
+    const client = live.subscribe(req, res, { channel: 'admin', owner: req.admin.username });
+    live.send(client, 'online', { online: db.onlineUsers.size });
+    for (const entry of db.activityLog.slice(0, 20).reverse()) live.send(client, 'activity', entry);
+});
+
+// Budgets per route group and who has hit them (last 24h, this instance)
+app.get('/api/admin/rate-limits', adminAuth, spec({
+    summary: 'Rate limit groups and top offenders',
+    query: t.object({ limit: limitField(50, 500) }),
+    response: t.object({ groups: t.object(), offenders: t.array(t.object()) })
+}), (req, res) => {
+    const n = Math.min(Number(req.query.limit) || 50, 500);
+    res.json({ groups: RATE_LIMITS, offenders: rateLimiter.topOffenders(n) });
+});
+
+app.get('/api/admin/users', adminAuth, spec({
+    summary: 'All players',
+    response: t.object({ users: t.array(t.object()), total: t.integer() })
+}), (req, res) => {
     res.json({ users: Array.from(db.users.values()), total: db.users.size });
 });
 
-app.post('/api/admin/save', adminAuth, (req, res) => { saveData(); res.json({ success: true }); });
+// ==========================================
+// Moderation
+// ==========================================
+
+app.get('/api/admin/moderation', adminAuth, spec({
+    summary: 'Active sanctions and recent moderation actions',
+    query: t.object({ limit: limitField(100, 500) }),
+    response: t.object({ active: t.array(t.object()), recent: t.array(t.object()) })
+}), (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const active = Array.from(db.sanctions.keys())
+        .map(odairy => ({ odairy, username: db.users.get(odairy)?.displayName || null, ...moderation.status(odairy) }))
+        .filter(s => s.ban || s.shadowBan || s.nameLock);
+    res.json({ active, recent: db.moderationLog.slice(0, limit) });
+});
+
+app.get('/api/admin/users/:odairy/moderation', adminAuth, spec({
+    summary: "A player's sanctions, reports and moderation history",
+    response: t.object({
+        odairy: t.string(), user: t.nullable(t.object()), sanctions: t.object(), ranks: t.ref('PlayerRanks'),
+        history: t.array(t.object()), reports: t.array(t.ref('CheatReport')), flag: t.nullable(t.object()),
+        renames: t.array(t.object())
+    })
+}), (req, res) => {
+    const { odairy } = req.params;
+    res.json({
+        odairy, user: db.users.get(odairy) || null,
+        sanctions: moderation.status(odairy), ranks: getPlayerRanks(odairy),
+        history: moderation.history(odairy),
+        reports: cheatReports.reportsAgainst(odairy), flag: db.cheatFlags.get(odairy) || null,
+        renames: usernameRules.history(odairy, 20)
+    });
+});
+
+app.get('/api/admin/users/:odairy/renames', adminAuth, spec({
+    summary: "A player's name history",
+    response: t.object({ odairy: t.string(), displayName: t.nullable(t.string()), history: t.array(t.object()) })
+}), (req, res) => {
+    const { odairy } = req.params;
+    res.json({ odairy, displayName: db.users.get(odairy)?.displayName || null, history: usernameRules.history(odairy) });
+});
+
+// Every finished game, newest first; page with ?before=<nextBefore>
+app.get('/api/admin/users/:odairy/games', adminAuth, spec({
+    summary: "A player's finished games, newest first",
+    query: t.object({
+        limit: limitField(100, 1000), before: t.integer({ description: 'nextBefore of the previous page' }),
+        mode: { ...modeField, description: 'One mode only (default all)' }
+    }),
+    response: t.allOf(t.ref('GamePage'), t.object({ odairy: t.string(), stats: t.ref('PlayerStats') }))
+}), (req, res) => {
+    const { odairy } = req.params;
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    const before = Number(req.query.before) || Infinity;
+    const mode = req.query.mode ? parseMode(req.query.mode) : null;
+    if (req.query.mode && !mode) return sendInvalid(res, 'query', 'mode', 'Invalid mode');
+    const { recent, ...stats } = gameHistory.statsOf(odairy, { mode, recent: 0 });
+    res.json({ odairy, stats, ...gameHistory.historyOf(odairy, { mode, limit, before }) });
+});
+
+app.get('/api/admin/username-policy', adminAuth, spec({
+    summary: 'Reserved and blocked words, and the name rules',
+    response: t.object({ reserved: t.array(t.string()), profanity: t.array(t.string()), rules: t.object() })
+}), (req, res) => {
+    res.json({ ...usernameRules.policy(), rules: usernameRules.config });
+});
+
+// { reserved?: [words], profanity?: [words] } - each list replaces the stored one
+app.put('/api/admin/username-policy', adminAuth, requireRole('moderator'), spec({
+    summary: 'Replace the reserved and/or blocked word lists',
+    body: t.object({ reserved: t.array(t.string()), profanity: t.array(t.string()) }),
+    response: t.object({ success: t.boolean(), reserved: t.array(t.string()), profanity: t.array(t.string()) })
+}), (req, res) => {
+    const result = usernameRules.updatePolicy(req.body);
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true, ...result.policy });
+});
+
+// Each takes { reason } plus, when imposing, an optional { expiresAt } or { duration } (seconds)
+function sanctionAction(kind, lift) {
+    return (req, res) => {
+        const { odairy } = req.params;
+        if (!db.users.has(odairy)) return res.status(404).json({ error: 'User not found' });
+        const { reason } = req.body;
+        const by = req.admin.username;
+        if (lift) {
+            const result = moderation.lift(kind, odairy, { reason, by });
+            return result.error ? sendError(req, res, result) : res.json({ success: true });
+        }
+        const expiry = parseExpiry(req.body);
+        if (expiry.error) return sendInvalid(res, 'body', expiry.field, expiry.error);
+        const result = moderation.impose(kind, odairy, { reason, by, expiresAt: expiry.expiresAt });
+        if (result.error) return sendError(req, res, result);
+        if (kind === 'ban') db.onlineUsers.delete(odairy);
+        res.json({ success: true, sanction: result.sanction });
+    };
+}
+
+function sanctionSpec(summary, imposing) {
+    return spec({
+        summary,
+        body: t.object({ reason: reasonField, ...(imposing && expiryFields) }, ['reason']),
+        response: t.object({ success: t.boolean(), ...(imposing && { sanction: t.ref('Sanction') }) }),
+        errors: imposing ? { 400: 'Invalid expiry', 404: 'User not found' } : { 404: 'User not found, or not active' }
+    });
+}
+
+app.post('/api/admin/users/:odairy/ban', adminAuth, requireRole('moderator'), sanctionSpec('Ban a player', true), sanctionAction('ban'));
+app.post('/api/admin/users/:odairy/unban', adminAuth, requireRole('moderator'), sanctionSpec('Lift a ban', false), sanctionAction('ban', true));
+app.post('/api/admin/users/:odairy/shadow-ban', adminAuth, requireRole('moderator'), sanctionSpec('Shadow-ban a player (hidden from everyone else)', true), sanctionAction('shadowBan'));
+app.post('/api/admin/users/:odairy/unshadow-ban', adminAuth, requireRole('moderator'), sanctionSpec('Lift a shadow ban', false), sanctionAction('shadowBan', true));
+app.post('/api/admin/users/:odairy/unlock-name', adminAuth, requireRole('moderator'), sanctionSpec("Unlock a player's name", false), sanctionAction('nameLock', true));
 
-app.post('/api/admin/reset-week', adminAuth, (req, res) => {
-    const week = getCurrentWeekKey();
-    db.weeklyLeaderboard[week] = [];
-    saveData();
+// Replaces the display name (default Player_xxxx) and locks it, optionally until expiresAt/duration
+app.post('/api/admin/users/:odairy/reset-name', adminAuth, requireRole('moderator'), spec({
+    summary: "Replace a player's name and lock it",
+    body: t.object({ reason: reasonField, displayName: t.string(), ...expiryFields }, ['reason']),
+    response: t.object({ success: t.boolean(), displayName: t.string(), previous: t.nullable(t.string()) }),
+    errors: { 400: 'Name not allowed, or invalid expiry', 404: 'User not found' }
+}), (req, res) => {
+    const { odairy } = req.params;
+    const user = db.users.get(odairy);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const { reason } = req.body;
+    const expiry = parseExpiry(req.body);
+    if (expiry.error) return sendInvalid(res, 'body', expiry.field, expiry.error);
+
+    // A chosen name goes through the usual rules; the placeholder isn't claimed
+    let name = `Player_${String(odairy).slice(-4)}`;
+    if (req.body.displayName) {
+        const checked = usernameRules.check(req.body.displayName, odairy);
+        if (!checked.ok) return sendInvalid(res, 'body', 'displayName', checked.message, { reason: checked.reason });
+        name = checked.name;
+    }
+    const previous = user.displayName;
+
+    db.transaction(() => {
+        usernameRules.rename(odairy, name, { by: `admin:${req.admin.username}`, reason, register: Boolean(req.body.displayName) });
+        user.username = name;
+        db.save('users', odairy);
+        applyDisplayName(odairy, name);
+        moderation.impose('nameLock', odairy, {
+            reason, by: req.admin.username, expiresAt: expiry.expiresAt, details: { previous, name }
+        });
+    });
+    res.json({ success: true, displayName: name, previous });
+});
+
+// :board is alltime or a season period; ?season= picks a past season (default
+// current), ?mode= the game mode (default classic)
+function moderatedBoard(board, season, modeParam) {
+    const mode = parseMode(modeParam);
+    if (!mode) return { error: 'Invalid mode', status: 400, field: 'mode' };
+    if (board === 'alltime') return { id: allTimeBoardId(mode), mode };
+    const period = parsePeriod(board);
+    const key = season || (period && calendar.key(period));
+    if (!period) return { error: 'Invalid board', status: 400, field: 'board' };
+    if (!calendar.isValidKey(period, key)) return { error: 'Invalid season', status: 400, field: 'season' };
+    return { id: seasonBoardId(period, key, mode), mode, season: key, weekly: period === 'weekly' };
+}
+
+app.delete('/api/admin/users/:odairy/scores/:board', adminAuth, requireRole('moderator'), spec({
+    summary: "Remove a player's score from a board",
+    params: t.object({ board: t.string({ description: 'alltime or a season period' }) }),
+    query: t.object({ season: t.string({ description: 'Default the current season' }), mode: modeField }),
+    body: t.object({ reason: reasonField }, ['reason']),
+    response: t.object({ success: t.boolean(), removed: t.ref('LeaderboardEntry') }),
+    errors: { 400: 'Invalid board', 404: 'No entry' }
+}), (req, res) => {
+    const { odairy, board } = req.params;
+    const { reason } = req.body;
+    const target = moderatedBoard(board, req.query.season, req.query.mode);
+    if (target.error) return sendError(req, res, target);
+    const entry = rankedBoards.get(target.id, odairy);
+    if (!entry) return res.status(404).json({ error: 'No entry' });
+
+    db.transaction(() => {
+        rankedBoards.remove(target.id, odairy);
+        moderation.record('remove_score', odairy, {
+            reason, by: req.admin.username, details: { board, mode: target.mode, season: target.season, score: entry.score }
+        });
+    });
+    if (target.weekly) pushWeeklyBoard(target.season, target.mode);
+    res.json({ success: true, removed: entry });
+});
+
+app.patch('/api/admin/users/:odairy/scores/:board', adminAuth, requireRole('moderator'), spec({
+    summary: "Correct a player's score on a board",
+    params: t.object({ board: t.string({ description: 'alltime or a season period' }) }),
+    query: t.object({ season: t.string({ description: 'Default the current season' }), mode: modeField }),
+    body: t.object({ reason: reasonField, score: t.integer({ minimum: 0 }) }, ['reason', 'score']),
+    response: t.object({ success: t.boolean(), entry: t.ref('LeaderboardEntry') }),
+    errors: { 400: 'Invalid board', 404: 'No entry' }
+}), (req, res) => {
+    const { odairy, board } = req.params;
+    const { reason, score } = req.body;
+    const target = moderatedBoard(board, req.query.season, req.query.mode);
+    if (target.error) return sendError(req, res, target);
+    const entry = rankedBoards.get(target.id, odairy);
+    if (!entry) return res.status(404).json({ error: 'No entry' });
+
+    const previous = entry.score;
+    db.transaction(() => {
+        rankedBoards.setScore(target.id, odairy, score);
+        moderation.record('correct_score', odairy, {
+            reason, by: req.admin.username, details: { board, mode: target.mode, season: target.season, previous, score }
+        });
+    });
+    if (target.weekly) pushWeeklyBoard(target.season, target.mode);
+    res.json({ success: true, entry });
+});
+
+app.get('/api/admin/rejected-scores', adminAuth, spec({
+    summary: 'Rejected score submissions, newest first',
+    query: t.object({ odairy: t.string(), reason: t.string(), limit: limitField(100, 1000) }),
+    response: t.object({ rejected: t.array(t.object()), total: t.integer() })
+}), (req, res) => {
+    const { odairy, reason } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    const list = db.readLog('rejectedScores', { odairy }).reverse().filter(e => !reason || e.reason === reason);
+    res.json({ rejected: list.slice(0, limit), total: list.length });
+});
+
+app.get('/api/admin/wallet/:odairy', adminAuth, spec({
+    summary: "A player's wallet, purchases and transactions",
+    response: t.object({
+        odairy: t.string(), balance: t.integer(), charges: t.array(t.object()), transactions: t.array(t.ref('WalletTransaction'))
+    })
+}), (req, res) => {
+    const { odairy } = req.params;
+    const charges = Array.from(db.starCharges.values()).filter(c => c.odairy === odairy);
+    res.json({ odairy, balance: wallet.getBalance(odairy), charges, transactions: wallet.history(odairy, 500) });
+});
+
+app.post('/api/admin/refund', adminAuth, requireRole('owner'), spec({
+    summary: 'Refund a star purchase',
+    body: t.object({ chargeId: t.string({ minLength: 1 }), note: t.string() }, ['chargeId']),
+    response: t.object({ success: t.boolean(), balance: t.integer(), transaction: t.ref('WalletTransaction') }),
+    errors: { 404: 'Charge not found', 409: 'Already refunded, or a refund is in progress', 502: 'Telegram refused the refund' }
+}), async (req, res) => {
+    const { chargeId, note } = req.body;
+    const charge = chargeId && db.starCharges.get(chargeId);
+    if (!charge) return res.status(404).json({ error: 'Charge not found' });
+    if (charge.refundedAt) return res.status(409).json({ error: 'Already refunded' });
+    if (charge.refundPending) return res.status(409).json({ error: 'Refund in progress' });
+    
+    // Marked before the Telegram call so a second request can't refund twice;
+    // left in place if Telegram refunded but recording it failed
+    charge.refundPending = Date.now();
+    db.save('starCharges', chargeId);
+    try {
+        // node-telegram-bot-api 0.64 has no refundStarPayment wrapper
+        await bot._request('refundStarPayment', {
+            form: { user_id: Number(charge.odairy), telegram_payment_charge_id: chargeId }
+        });
+    } catch (e) {
+        charge.refundPending = null;
+        db.save('starCharges', chargeId);
+        return res.status(502).json({ error: e.message });
+    }
+    
+    const entry = db.transaction(() => {
+        charge.refundPending = null;
+        const reversal = wallet.reversePurchase(chargeId, note);
+        db.append('payments', {
+            odairy: charge.odairy, amount: -charge.amount, currency: 'XTR',
+            item: `refund:${charge.packageId}`, chargeId, timestamp: Date.now()
+        });
+        db.stats.totalRevenue -= charge.amount;
+        db.save('stats');
+        const u = db.users.get(charge.odairy);
+        if (u) { u.totalSpent -= charge.amount; db.save('users', charge.odairy); }
+        analytics.recordRefund(charge.amount, charge.packageId);
+        addActivity('refund', { odairy: charge.odairy, amount: charge.amount, chargeId });
+        return reversal;
+    });
+    
+    bot.sendMessage(charge.odairy, `↩️ Your purchase of ${charge.stars} ⭐ Stars was refunded.`).catch(() => {});
+    res.json({ success: true, balance: entry.balanceAfter, transaction: entry });
+});
+
+// ==========================================
+// Analytics
+// ==========================================
+// Each takes ?from=&to= (YYYY-MM-DD, default the last 30 days) and ?format=csv
+
+const reportQuery = {
+    from: t.string({ pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Default 29 days before to' }),
+    to: t.string({ pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Default today' }),
+    format: t.enum(['json', 'csv'])
+};
+
+function analyticsRange(req, res) {
+    const to = req.query.to || calendar.key('daily');
+    const from = req.query.from || shiftDay(to, -29);
+    if (!calendar.isValidKey('daily', from) || !calendar.isValidKey('daily', to) || from > to) {
+        sendInvalid(res, 'query', calendar.isValidKey('daily', to) ? 'from' : 'to', 'Invalid date range');
+        return null;
+    }
+    if (shiftDay(from, MAX_RANGE_DAYS - 1) < to) {
+        sendInvalid(res, 'query', 'from', `Range is limited to ${MAX_RANGE_DAYS} days`);
+        return null;
+    }
+    return { from, to };
+}
+
+function sendReport(req, res, name, range, rows, extra) {
+    if (req.query.format === 'csv') {
+        res.type('text/csv').attachment(`${name}_${range.from}_${range.to}.csv`);
+        return res.send(toCsv(rows));
+    }
+    res.json({ ...range, timeZone: calendar.timeZone, [name]: rows, ...extra });
+}
+
+app.get('/api/admin/analytics/activity', adminAuth, spec({
+    summary: 'Active players, new players and games per day',
+    query: t.object({ ...reportQuery }),
+    response: t.allOf(t.ref('ReportRange'), t.object({ activity: t.array(t.object()) })),
+    produces: ['application/json', 'text/csv'],
+    errors: { 400: 'Invalid date range' }
+}), (req, res) => {
+    const range = analyticsRange(req, res);
+    if (!range) return;
+    const days = analytics.activity(range.from, range.to);
+    const totals = {
+        newUsers: days.reduce((n, d) => n + d.newUsers, 0),
+        gamesStarted: days.reduce((n, d) => n + d.gamesStarted, 0)
+    };
+    sendReport(req, res, 'activity', range, days, { totals });
+});
+
+app.get('/api/admin/analytics/retention', adminAuth, spec({
+    summary: 'Retention of each signup day',
+    query: t.object({ ...reportQuery }),
+    response: t.allOf(t.ref('ReportRange'), t.object({ retention: t.array(t.object()) })),
+    produces: ['application/json', 'text/csv'],
+    errors: { 400: 'Invalid date range' }
+}), (req, res) => {
+    const range = analyticsRange(req, res);
+    if (range) sendReport(req, res, 'retention', range, analytics.retention(range.from, range.to));
+});
+
+// ?groupBy=item gives one row per package (CSV included)
+app.get('/api/admin/analytics/revenue', adminAuth, spec({
+    summary: 'Revenue per day, or per package with ?groupBy=item',
+    query: t.object({ ...reportQuery, groupBy: t.enum(['item']) }),
+    response: t.allOf(t.ref('ReportRange'), t.object({ revenue: t.array(t.object()) })),
+    produces: ['application/json', 'text/csv'],
+    errors: { 400: 'Invalid date range' }
+}), (req, res) => {
+    const range = analyticsRange(req, res);
+    if (!range) return;
+    const { days, byItem } = analytics.revenue(range.from, range.to);
+    const totals = { stars: days.reduce((n, d) => n + d.stars, 0), payments: days.reduce((n, d) => n + d.payments, 0) };
+    if (req.query.groupBy === 'item') return sendReport(req, res, 'revenue', range, byItem, { totals });
+    sendReport(req, res, 'revenue', range, days, { byItem, totals });
+});
+
+app.get('/api/admin/achievements', adminAuth, spec({
+    summary: 'Achievement and quest definitions',
+    response: t.object({ definitions: t.array(t.object()) })
+}), (req, res) => {
+    res.json({ definitions: achievements.definitions() });
+});
+
+// Creates or replaces a definition: { type, title, description, metric, goal, reward: { stars, badge }, active }
+app.put('/api/admin/achievements/:id', adminAuth, requireRole('owner'), spec({
+    summary: 'Create or replace an achievement or quest',
+    params: t.object({ id: t.string({ pattern: '^[a-z0-9_]{2,40}$' }) }),
+    body: t.object({
+        type: t.enum(['achievement', 'daily']), title: t.string({ minLength: 1 }), description: t.string(),
+        metric: t.enum(Object.keys(METRICS)), goal: t.integer({ minimum: 1 }),
+        reward: t.object({ stars: t.integer({ minimum: 0 }), badge: t.nullable(t.string()) }), active: t.boolean()
+    }, ['type', 'title', 'metric', 'goal']),
+    response: t.object({ success: t.boolean(), definition: t.object() })
+}), (req, res) => {
+    const result = achievements.upsert(req.params.id, req.body);
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true, definition: result.def });
+});
+
+app.delete('/api/admin/achievements/:id', adminAuth, requireRole('owner'), spec({
+    summary: 'Delete an achievement or quest',
+    response: success,
+    errors: { 404: 'Not found' }
+}), (req, res) => {
+    const result = achievements.remove(req.params.id);
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true });
+});
+
+// ==========================================
+// Admin: Product Catalog
+// ==========================================
+// POST body: { id, title, stars, bonus, price, active, firstPurchaseOnly, perUserLimit,
+//   promotion: { type: 'bonus', bonusPercent | 'discount', price, startsAt, endsAt } }
+// PATCH takes any of the same fields but id; { active: false } disables.
+
+const productFields = {
+    title: t.string({ minLength: 1 }), stars: t.integer({ minimum: 1 }), bonus: t.integer({ minimum: 0 }),
+    price: t.integer({ minimum: 1, description: 'Telegram Stars (XTR)' }), active: t.boolean(),
+    firstPurchaseOnly: t.boolean(), perUserLimit: t.nullable(t.integer({ minimum: 1 })),
+    promotion: t.nullable(SCHEMAS.Promotion)
+};
+
+app.get('/api/admin/products', adminAuth, spec({
+    summary: 'All products, inactive included',
+    response: t.object({ products: t.array(t.ref('Product')) })
+}), (req, res) => {
+    res.json({ products: catalog.list({ includeInactive: true }) });
+});
+
+app.get('/api/admin/products/:id/versions', adminAuth, spec({
+    summary: 'Every version of a product, newest first',
+    response: t.object({ versions: t.array(t.object()) }),
+    errors: { 404: 'Not found' }
+}), (req, res) => {
+    const versions = catalog.versions(req.params.id);
+    if (!versions.length) return res.status(404).json({ error: 'Not found' });
+    res.json({ versions });
+});
+
+app.post('/api/admin/products', adminAuth, requireRole('owner'), spec({
+    summary: 'Create a product',
+    body: t.object({ id: t.string({ pattern: '^[a-z0-9_]{2,40}$' }), ...productFields }, ['id', 'stars', 'price']),
+    response: t.object({ success: t.boolean(), product: t.ref('Product') }),
+    errors: { 400: 'Invalid promotion', 409: 'Product exists' }
+}), (req, res) => {
+    const result = catalog.create(req.body);
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true, product: result.product });
+});
+
+// { ids } in display order; unlisted products follow
+app.post('/api/admin/products/reorder', adminAuth, requireRole('owner'), spec({
+    summary: 'Set the display order',
+    body: t.object({ ids: t.array(t.string()) }, ['ids']),
+    response: t.object({ success: t.boolean(), products: t.array(t.ref('Product')) }),
+    errors: { 400: 'Unknown product' }
+}), (req, res) => {
+    const result = catalog.reorder(req.body.ids);
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true, products: result.products });
+});
+
+app.patch('/api/admin/products/:id', adminAuth, requireRole('owner'), spec({
+    summary: 'Change a product; new terms make a new version',
+    body: t.object(productFields),
+    response: t.object({ success: t.boolean(), product: t.ref('Product') }),
+    errors: { 400: 'Invalid promotion', 404: 'Not found' }
+}), (req, res) => {
+    const result = catalog.update(req.params.id, req.body);
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true, product: result.product });
+});
+
+app.get('/api/admin/seasons', adminAuth, spec({
+    summary: 'Closed weekly seasons',
+    response: t.object({ seasons: t.array(t.object()) })
+}), (req, res) => {
+    const seasonList = Array.from(db.seasonResults.values())
+        .sort((a, b) => (a.week < b.week ? 1 : -1))
+        .map(r => ({
+            week: r.week, status: r.status, frozenAt: r.frozenAt, completedAt: r.completedAt,
+            players: r.standings.length, awards: r.awards.length,
+            unpaid: r.awards.filter(a => !a.paidAt).length, winner: r.standings[0] || null
+        }));
+    res.json({ seasons: seasonList });
+});
+
+app.get('/api/admin/seasons/:week/closeout', adminAuth, spec({
+    summary: 'Preview the standings and awards of a week',
+    response: t.object(),
+    errors: { 400: 'Invalid week' }
+}), (req, res) => {
+    if (!calendar.isValidKey('weekly', req.params.week)) return sendInvalid(res, 'path', 'week', 'Invalid week');
+    res.json(seasons.preview(req.params.week));
+});
+
+app.post('/api/admin/seasons/:week/closeout', adminAuth, requireRole('owner'), spec({
+    summary: 'Close out a week and pay its rewards',
+    body: t.object({ refreeze: t.boolean({ description: 'Take the standings again from the board' }) }),
+    response: t.object({ success: t.boolean(), result: t.object() }),
+    errors: { 400: 'Invalid week or season still running', 404: 'Unknown season', 409: 'Close-out failed' }
+}), async (req, res) => {
+    const { week } = req.params;
+    if (!calendar.isValidKey('weekly', week)) return sendInvalid(res, 'path', 'week', 'Invalid week');
+    if (week === calendar.key('weekly')) return sendInvalid(res, 'path', 'week', 'Season still running');
+    if (!rankedBoards.has(seasonBoardId('weekly', week))) return res.status(404).json({ error: 'Unknown season' });
+    try {
+        const result = await seasons.closeOut(week, { refreeze: req.body.refreeze === true });
+        res.json({ success: true, result });
+    } catch (e) { res.status(409).json({ error: e.message }); }
+});
+
+app.get('/api/admin/referrals/top', adminAuth, spec({
+    summary: 'Top referrers',
+    query: t.object({ limit: limitField(20, 200), sort: t.enum(['count', 'qualified', 'earnings']) }),
+    response: t.object({
+        referrers: t.array(t.object({
+            odairy: t.string(), username: t.string(), count: t.integer(), qualified: t.integer(), earnings: t.integer()
+        })),
+        totalReferrals: t.integer()
+    })
+}), (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 20, 200);
+    const sortBy = ['count', 'qualified', 'earnings'].includes(req.query.sort) ? req.query.sort : 'count';
+    const top = referrals.topReferrers(limit, sortBy).map(r => ({ ...r, username: getDisplayName(r.odairy) }));
+    res.json({ referrers: top, totalReferrals: db.referrals.size });
+});
+
+app.post('/api/admin/save', adminAuth, requireRole('moderator'), spec({
+    summary: 'Flush pending writes to storage',
+    response: success
+}), (req, res) => { db.flush(); res.json({ success: true }); });
+
+// Clears this week's board in every mode
+app.post('/api/admin/reset-week', adminAuth, requireRole('owner'), spec({
+    summary: "Clear this week's board in every mode",
+    response: t.object({ success: t.boolean(), message: t.string() })
+}), (req, res) => {
+    const week = calendar.key('weekly');
+    for (const { id: mode } of GAME_MODES) {
+        rankedBoards.clear(seasonBoardId('weekly', week, mode));
+        pushWeeklyBoard(week, mode);
+    }
     res.json({ success: true, message: `Week ${week} reset` });
 });
 
-app.post('/api/admin/reset-all', adminAuth, (req, res) => {
-    if (req.body.confirm !== 'RESET_ALL_DATA') return res.status(400).json({ error: 'Confirm required' });
-    db.users.clear(); db.usernames.clear(); db.payments.length = 0;
-    db.weeklyLeaderboard = {}; db.allTimeLeaderboard = [];
-    db.friends.clear(); db.activityLog.length = 0; db.onlineUsers.clear();
-    db.stats = { totalUsers: 0, totalGamesPlayed: 0, totalRevenue: 0 };
-    saveData();
+app.post('/api/admin/reset-all', adminAuth, requireRole('owner'), spec({
+    summary: 'Delete all game data',
+    description: 'Admin accounts, the audit log, the product catalog, achievement definitions and the username policy are kept.',
+    body: t.object({ confirm: t.enum(['RESET_ALL_DATA']) }, ['confirm']),
+    response: success
+}), (req, res) => {
+    // Admin accounts, the audit trail, the product catalog and admin-edited
+    // definitions and settings survive a data reset
+    db.clearAll({
+        keep: ['admins', 'adminTokens', 'adminAudit', 'products', 'productVersions', 'achievementDefs'],
+        keepMeta: ['usernamePolicy']
+    });
+    rankedBoards.load();
+    db.onlineUsers.clear();
+    db.currentWeek = calendar.key('weekly');
+    db.save('currentWeek');
     res.json({ success: true });
 });
 
-app.post('/api/report-cheat', (req, res) => {
+// ==========================================
+// Broadcasts
+// ==========================================
+// POST body: { text, target: { type: 'all' } | { type: 'active', days } | { type: 'top', n },
+//   playButton, dryRun }. dryRun answers the recipient count without queueing.
+
+app.get('/api/admin/broadcasts', adminAuth, spec({
+    summary: 'Broadcasts, newest first',
+    query: t.object({ limit: limitField(50, 200) }),
+    response: t.object({ broadcasts: t.array(t.ref('Broadcast')) })
+}), (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    res.json({ broadcasts: broadcasts.list(limit) });
+});
+
+app.get('/api/admin/broadcasts/:id', adminAuth, spec({
+    summary: 'One broadcast and its progress',
+    response: t.object({ broadcast: t.ref('Broadcast') }),
+    errors: { 404: 'Not found' }
+}), (req, res) => {
+    const broadcast = broadcasts.get(req.params.id);
+    if (!broadcast) return res.status(404).json({ error: 'Not found' });
+    res.json({ broadcast });
+});
+
+app.post('/api/admin/broadcasts', adminAuth, requireRole('owner'), spec({
+    summary: 'Queue a message to many players',
+    body: t.object({
+        text: t.string({ minLength: 1, maxLength: 4096 }), target: SCHEMAS.BroadcastTarget,
+        playButton: t.boolean(), dryRun: t.boolean({ description: 'Only count the recipients' })
+    }, ['text', 'target']),
+    response: t.object({
+        success: t.boolean(), broadcast: t.ref('Broadcast'),
+        dryRun: t.boolean(), total: t.integer({ description: 'Recipients (dryRun)' })
+    })
+}), (req, res) => {
+    const { text, target, playButton, dryRun } = req.body;
+    const result = broadcasts.create({ text, target, playButton, dryRun: dryRun === true, by: req.admin.username });
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true, ...(result.dryRun ? { dryRun: true, total: result.total } : { broadcast: result.broadcast }) });
+});
+
+app.post('/api/admin/broadcasts/:id/cancel', adminAuth, requireRole('owner'), spec({
+    summary: 'Stop a queued or running broadcast',
+    response: t.object({ success: t.boolean(), broadcast: t.ref('Broadcast') }),
+    errors: { 404: 'Not found', 409: 'Broadcast already finished' }
+}), (req, res) => {
+    const result = broadcasts.cancel(req.params.id, req.admin.username);
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true, broadcast: result.broadcast });
+});
+
+// ==========================================
+// Account Data
+// ==========================================
+// Export and deletion for one player: by the player (identity verified by
+// playerAuth) or by an admin. Deletion keeps pseudonymized accounting and
+// moderation records (see lib/accountData.js).
+
+function sendExport(res, odairy) {
+    res.set('Content-Disposition', `attachment; filename="fruit-merge-${odairy}.json"`);
+    res.json(accountData.exportData(odairy));
+}
+
+function eraseAccount(req, res, odairy, by, reason) {
+    const result = accountData.erase(odairy, { by, reason });
+    if (result.error) return sendError(req, res, result);
+    for (const { id: mode } of GAME_MODES) pushWeeklyBoard(calendar.key('weekly'), mode);
+    broadcastOnline();
+    res.json({ success: true, pseudonym: result.pseudonym, removed: result.removed, pseudonymized: result.pseudonymized });
+}
+
+app.get('/api/me/export', playerAuth, limit('lookup'), spec({
+    summary: "Download all of the player's data",
+    response: t.object({}, [], { description: 'See lib/accountData.js' })
+}), (req, res) => sendExport(res, req.odairy));
+
+app.delete('/api/me', playerAuth, limit('lookup'), spec({
+    summary: "Delete the player's account",
+    body: t.object({ confirm: t.enum(['DELETE_MY_ACCOUNT']) }, ['confirm']),
+    response: t.ref('Erasure'),
+    errors: { 404: 'Unknown player' }
+}), (req, res) => {
+    eraseAccount(req, res, req.odairy, 'self');
+});
+
+app.get('/api/admin/users/:odairy/export', adminAuth, requireRole('moderator'), spec({
+    summary: "Download all of a player's data",
+    response: t.object({}, [], { description: 'See lib/accountData.js' })
+}), (req, res) => sendExport(res, req.params.odairy));
+
+app.delete('/api/admin/users/:odairy', adminAuth, requireRole('owner'), spec({
+    summary: "Delete a player's account",
+    body: t.object({ reason: reasonField }, ['reason']),
+    response: t.ref('Erasure'),
+    errors: { 404: 'Unknown player' }
+}), (req, res) => {
+    const { odairy } = req.params;
+    // The audit entry for this request is written once the response is sent
+    res.on('finish', () => accountData.pseudonymizeLog('adminAudit', odairy));
+    eraseAccount(req, res, odairy, `admin:${req.admin.username}`, req.body.reason);
+});
+
+// ==========================================
+// Cheat Reports
+// ==========================================
+
+function notifyAdmin(text) {
+    if (ADMIN_TELEGRAM_ID) bot.sendMessage(ADMIN_TELEGRAM_ID, text).catch(() => {});
+}
+
+const cheatReports = createCheatReports({
+    db, ranksOf: getPlayerRanks, addActivity,
+    flagThreshold: REPORT_FLAG_THRESHOLD, maxPerHour: REPORT_RATE_LIMIT,
+    dedupeWindow: REPORT_DEDUPE_WINDOW * 1000,
+    onFlag: (odairy, reporters) => notifyAdmin(`🚩 Flagged: ${odairy} reported by ${reporters} players`)
+});
+
+// { odairy: reported player, reason }
+app.post('/api/report-cheat', playerAuth, limit('social'), spec({
+    summary: 'Report a player for cheating',
+    body: t.object({ odairy: userIdField, reason: t.string({ minLength: 1 }) }, ['odairy', 'reason']),
+    response: t.object({ ok: t.boolean(), reportId: t.string(), duplicate: t.boolean() }),
+    errors: { 400: 'Invalid target', 404: 'User not found', 429: 'Too many reports' }
+}), (req, res) => {
     const { odairy, reason } = req.body;
-    if (ADMIN_TELEGRAM_ID) bot.sendMessage(ADMIN_TELEGRAM_ID, `⚠️ Cheat: ${odairy} - ${reason}`).catch(() => {});
-    res.json({ ok: true });
+    const result = cheatReports.submit(req.odairy, odairy, reason);
+    if (result.error) {
+        if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+        return sendError(req, res, result);
+    }
+    if (!result.duplicate) notifyAdmin(`⚠️ Cheat report: ${result.report.targetId} - ${result.report.reason}`);
+    res.json({ ok: true, reportId: result.report.id, duplicate: Boolean(result.duplicate) });
+});
+
+// ?status=open|dismissed|actioned&target=&reporter=&limit=
+app.get('/api/admin/reports', adminAuth, spec({
+    summary: 'Cheat reports, newest first',
+    query: t.object({
+        status: t.enum(REPORT_STATUSES), target: t.string(), reporter: t.string(), limit: limitField(100, 500)
+    }),
+    response: t.object({
+        reports: t.array(t.ref('CheatReport')), total: t.integer(), counts: t.object(), flagged: t.array(t.object())
+    })
+}), (req, res) => {
+    const { status, target, reporter } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const reports = cheatReports.list({ status, targetId: target, reporterId: reporter });
+    res.json({ reports: reports.slice(0, limit), total: reports.length, counts: cheatReports.counts(), flagged: cheatReports.flagged() });
+});
+
+app.get('/api/admin/reports/:id', adminAuth, spec({
+    summary: 'A report with the reported player and their history',
+    response: t.object({
+        report: t.ref('CheatReport'), flag: t.nullable(t.object()), target: t.nullable(t.object()), sanctions: t.object(),
+        otherReports: t.array(t.ref('CheatReport')), moderationHistory: t.array(t.object())
+    }),
+    errors: { 404: 'Report not found' }
+}), (req, res) => {
+    const report = db.cheatReports.get(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Report not found' });
+    const { targetId } = report;
+    res.json({
+        report, flag: db.cheatFlags.get(targetId) || null,
+        target: db.users.get(targetId) || null, sanctions: moderation.status(targetId),
+        otherReports: cheatReports.reportsAgainst(targetId).filter(r => r.id !== report.id),
+        moderationHistory: moderation.history(targetId, 20)
+    });
+});
+
+// { note, allForTarget }
+app.post('/api/admin/reports/:id/dismiss', adminAuth, requireRole('moderator'), spec({
+    summary: 'Dismiss a report',
+    body: t.object({ note: t.string(), allForTarget: t.boolean({ description: 'Every open report against the player' }) }),
+    response: t.object({ success: t.boolean(), resolved: t.array(t.string()) }),
+    errors: { 404: 'Report not found' }
+}), (req, res) => {
+    const { note, allForTarget } = req.body;
+    const result = cheatReports.resolve(req.params.id, { status: 'dismissed', by: req.admin.username, note, allForTarget: Boolean(allForTarget) });
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true, resolved: result.resolved });
+});
+
+// Applies a moderation sanction to the reported player and closes every open
+// report against them. { sanction: ban|shadowBan, reason, expiresAt|duration, note }
+// Without `sanction` the reports are only marked actioned (e.g. after a score edit).
+app.post('/api/admin/reports/:id/action', adminAuth, requireRole('moderator'), spec({
+    summary: 'Sanction the reported player and close their open reports',
+    body: t.object({
+        sanction: t.enum(['ban', 'shadowBan']), reason: reasonField, note: t.string(), ...expiryFields
+    }),
+    response: t.object({ success: t.boolean(), resolved: t.array(t.string()) }),
+    errors: { 400: 'Invalid expiry', 404: 'Report not found' }
+}), (req, res) => {
+    const report = db.cheatReports.get(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Report not found' });
+    const { sanction, note } = req.body;
+    const reason = req.body.reason || report.reason;
+    const by = req.admin.username;
+    const expiry = parseExpiry(req.body);
+    if (expiry.error) return sendInvalid(res, 'body', expiry.field, expiry.error);
+
+    const result = db.transaction(() => {
+        let action = null;
+        if (sanction) {
+            const imposed = moderation.impose(sanction, report.targetId, {
+                reason, by, expiresAt: expiry.expiresAt, details: { reportId: report.id }
+            });
+            if (imposed.error) return imposed;
+            action = { sanction, createdAt: imposed.sanction.createdAt, expiresAt: imposed.sanction.expiresAt };
+            if (sanction === 'ban') db.onlineUsers.delete(report.targetId);
+        }
+        return cheatReports.resolve(report.id, { status: 'actioned', by, note, action, allForTarget: true });
+    });
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true, resolved: result.resolved });
+});
+
+app.post('/api/admin/reports/:id/reopen', adminAuth, requireRole('moderator'), spec({
+    summary: 'Reopen a closed report',
+    response: success,
+    errors: { 404: 'Report not found' }
+}), (req, res) => {
+    const result = cheatReports.reopen(req.params.id);
+    if (result.error) return sendError(req, res, result);
+    res.json({ success: true });
+});
+
+// ==========================================
+// API Docs
+// ==========================================
+// OpenAPI document built from the route specs (see Request Schemas) on first
+// request - every route is registered by then
+
+let openApiDoc = null;
+app.get('/api/openapi.json', spec({ summary: 'This document (OpenAPI 3.0)' }), (req, res) => {
+    openApiDoc = openApiDoc || buildOpenApi(app, {
+        info: {
+            title: 'Fruit Merge API', version: '3.5',
+            description: 'Invalid requests answer 400 with a ValidationError listing each bad field.'
+        },
+        security: [
+            [playerAuth, 'telegramInitData'], [optionalPlayerAuth, 'telegramInitData', true],
+            [adminAuth, 'adminToken'], [webhookAuth, 'webhookSecret']
+        ],
+        securitySchemes: {
+            telegramInitData: {
+                type: 'apiKey', in: 'header', name: 'X-Telegram-Init-Data',
+                description: 'Telegram.WebApp.initData (or Authorization: tma <initData>)'
+            },
+            adminToken: { type: 'http', scheme: 'bearer', description: 'Token from /api/admin/login' },
+            webhookSecret: {
+                type: 'apiKey', in: 'header', name: 'X-Telegram-Bot-Api-Secret-Token',
+                description: 'WEBHOOK_SECRET, set as the secret_token of the webhook'
+            }
+        },
+        schemas: SCHEMAS
+    });
+    res.json(openApiDoc);
 });
 
 // Start